@@ -0,0 +1,249 @@
+// Build an Anki .apkg for GET /api/export/anki. A package is a zip holding a
+// legacy (schema 11) collection.anki2 SQLite database and an empty media map.
+// Each kanji is one note of the "Kanjiten Kanji" note type with one card, and
+// the user's SRS state carries over as that card's scheduling.
+
+import { createHash } from 'crypto';
+import JSZip from 'jszip';
+import { loadSqlJs } from './db/sqlite/sqlJs.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const JLPT_ORDER = ['N5', 'N4', 'N3', 'N2', 'N1'];
+
+const FIELDS = ['Kanji', 'Meanings', 'Readings', 'Words', 'Mnemonic', 'CustomWords', 'Level', 'JLPT'];
+
+const FRONT_TEMPLATE = '<div class="kanji">{{Kanji}}</div>';
+const BACK_TEMPLATE = `{{FrontSide}}
+<hr id="answer">
+<div class="meanings">{{Meanings}}</div>
+<div class="readings">{{Readings}}</div>
+{{#Words}}<div class="words">{{Words}}</div>{{/Words}}
+{{#CustomWords}}<div class="words custom">{{CustomWords}}</div>{{/CustomWords}}
+{{#Mnemonic}}<div class="mnemonic">{{Mnemonic}}</div>{{/Mnemonic}}
+<div class="meta">Level {{Level}} {{JLPT}}</div>`;
+
+const CSS = `.card { font-family: sans-serif; font-size: 20px; text-align: center; }
+.kanji { font-size: 96px; }
+.readings { font-size: 24px; }
+.words { text-align: left; display: inline-block; margin-top: 10px; }
+.mnemonic { font-style: italic; margin-top: 10px; }
+.meta { color: #999; font-size: 14px; margin-top: 10px; }`;
+
+const SCHEMA = `
+CREATE TABLE col (id integer primary key, crt integer not null, mod integer not null, scm integer not null,
+    ver integer not null, dty integer not null, usn integer not null, ls integer not null, conf text not null,
+    models text not null, decks text not null, dconf text not null, tags text not null);
+CREATE TABLE notes (id integer primary key, guid text not null, mid integer not null, mod integer not null,
+    usn integer not null, tags text not null, flds text not null, sfld integer not null, csum integer not null,
+    flags integer not null, data text not null);
+CREATE TABLE cards (id integer primary key, nid integer not null, did integer not null, ord integer not null,
+    mod integer not null, usn integer not null, type integer not null, queue integer not null, due integer not null,
+    ivl integer not null, factor integer not null, reps integer not null, lapses integer not null, left integer not null,
+    odue integer not null, odid integer not null, flags integer not null, data text not null);
+CREATE TABLE revlog (id integer primary key, cid integer not null, usn integer not null, ease integer not null,
+    ivl integer not null, lastIvl integer not null, factor integer not null, time integer not null, type integer not null);
+CREATE TABLE graves (usn integer not null, oid integer not null, type integer not null);
+CREATE INDEX ix_notes_usn on notes (usn);
+CREATE INDEX ix_cards_usn on cards (usn);
+CREATE INDEX ix_revlog_usn on revlog (usn);
+CREATE INDEX ix_cards_nid on cards (nid);
+CREATE INDEX ix_cards_sched on cards (did, queue, due);
+CREATE INDEX ix_revlog_cid on revlog (cid);
+CREATE INDEX ix_notes_csum on notes (csum);
+`;
+
+// Variations at or below the chosen JLPT level, like getFilteredVariations in the
+// client: N3 keeps N5, N4 and N3 words, and a kanji with none left keeps them all
+export function filterVariations(variations, jlptLevel) {
+    const levelIndex = JLPT_ORDER.indexOf(jlptLevel);
+    if (!variations || levelIndex === -1) return variations || [];
+    const allowed = JLPT_ORDER.slice(0, levelIndex + 1);
+    const filtered = variations.filter(variation => allowed.includes(variation.jlpt));
+    return filtered.length > 0 ? filtered : variations;
+}
+
+function escapeHtml(text) {
+    return String(text ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function wordList(words) {
+    return words
+        .map(word => `${escapeHtml(word.word)} 【${escapeHtml(word.reading)}】 ${escapeHtml(word.meaning)}`)
+        .join('<br>');
+}
+
+function sha1(text) {
+    return createHash('sha1').update(text).digest('hex');
+}
+
+// Anki's duplicate check: the first 8 hex digits of the sort field's SHA-1
+function fieldChecksum(text) {
+    return parseInt(sha1(text).slice(0, 8), 16);
+}
+
+// Stable per kanji, so importing a newer export updates the notes in place
+function noteGuid(kanji) {
+    return sha1(`kanjiten:${kanji.character}`).slice(0, 10);
+}
+
+function noteType(modelId, deckId, now) {
+    return {
+        id: modelId,
+        name: 'Kanjiten Kanji',
+        type: 0,
+        mod: Math.floor(now / 1000),
+        usn: -1,
+        sortf: 0,
+        did: deckId,
+        tmpls: [{ name: 'Recognition', ord: 0, qfmt: FRONT_TEMPLATE, afmt: BACK_TEMPLATE, did: null, bqfmt: '', bafmt: '' }],
+        flds: FIELDS.map((name, ord) => ({ name, ord, sticky: false, rtl: false, font: 'Arial', size: 20, media: [] })),
+        css: CSS,
+        latexPre: '\\documentclass[12pt]{article}\n\\special{papersize=3in,5in}\n\\usepackage[utf8]{inputenc}\n\\usepackage{amssymb,amsmath}\n\\pagestyle{empty}\n\\setlength{\\parindent}{0in}\n\\begin{document}\n',
+        latexPost: '\\end{document}',
+        latexsvg: false,
+        req: [[0, 'any', [0]]],
+        tags: [],
+        vers: []
+    };
+}
+
+function deck(id, name, now) {
+    return {
+        id,
+        name,
+        desc: 'Exported from Kanjiten',
+        mod: Math.floor(now / 1000),
+        usn: -1,
+        collapsed: false,
+        browserCollapsed: false,
+        newToday: [0, 0],
+        revToday: [0, 0],
+        lrnToday: [0, 0],
+        timeToday: [0, 0],
+        dyn: 0,
+        conf: 1,
+        extendNew: 10,
+        extendRev: 50
+    };
+}
+
+function deckConfig(now) {
+    return {
+        id: 1,
+        name: 'Default',
+        mod: Math.floor(now / 1000),
+        usn: -1,
+        maxTaken: 60,
+        autoplay: true,
+        timer: 0,
+        replayq: true,
+        dyn: false,
+        new: { delays: [1, 10], ints: [1, 4, 7], initialFactor: 2500, order: 1, perDay: 20, bury: true, separate: true },
+        rev: { perDay: 200, ease4: 1.3, fuzz: 0.05, maxIvl: 36500, ivlFct: 1, bury: true, minSpace: 1 },
+        lapse: { delays: [10], mult: 0, minInt: 1, leechFails: 8, leechAction: 0 }
+    };
+}
+
+// Card scheduling from a user_kanji_progress row. Reviewed kanji become review
+// cards due on the same day as in Kanjiten; everything else is a new card.
+// Suspended kanji keep their card type but go in Anki's suspended queue (-1).
+function cardSchedule(progress, position, collectionStart) {
+    const suspended = Boolean(progress?.suspended);
+    if (!progress?.total_reviews || !progress.next_review) {
+        return { type: 0, queue: suspended ? -1 : 0, due: position, ivl: 0, factor: 0, reps: 0, lapses: 0 };
+    }
+    return {
+        type: 2,
+        queue: suspended ? -1 : 2,
+        due: Math.floor((new Date(progress.next_review).getTime() - collectionStart) / DAY_MS),
+        ivl: Math.max(1, Math.round(Number(progress.srs_interval) || 1)),
+        factor: Math.round((Number(progress.ease_factor) || 2.5) * 1000),
+        reps: progress.total_reviews,
+        lapses: progress.lapses || 0
+    };
+}
+
+// kanji: dataset entries to export. progressById and customWordsByKanji map
+// kanji ids to the user's rows. Returns the .apkg as a Buffer.
+export async function buildAnkiPackage({ kanji, progressById, customWordsByKanji, jlptLevel, deckName }, now = Date.now()) {
+    const SQL = await loadSqlJs();
+    const db = new SQL.Database();
+
+    try {
+        db.run(SCHEMA);
+
+        // The collection starts at midnight UTC of the earliest due date, so no
+        // card gets a negative due day
+        const dueTimes = [...progressById.values()]
+            .filter(row => row.next_review)
+            .map(row => new Date(row.next_review).getTime());
+        const collectionStart = Math.floor(Math.min(now, ...dueTimes) / DAY_MS) * DAY_MS;
+
+        const modelId = now;
+        const deckId = now + 1;
+        const seconds = Math.floor(now / 1000);
+
+        db.run('INSERT INTO col VALUES (1, ?, ?, ?, 11, 0, 0, 0, ?, ?, ?, ?, ?)', [
+            Math.floor(collectionStart / 1000),
+            now,
+            now,
+            JSON.stringify({
+                nextPos: kanji.length + 1,
+                estTimes: true,
+                activeDecks: [deckId],
+                sortType: 'noteFld',
+                timeLim: 0,
+                sortBackwards: false,
+                addToCur: true,
+                curDeck: deckId,
+                newBury: true,
+                newSpread: 0,
+                dueCounts: true,
+                curModel: String(modelId),
+                collapseTime: 1200
+            }),
+            JSON.stringify({ [modelId]: noteType(modelId, deckId, now) }),
+            JSON.stringify({ 1: { ...deck(1, 'Default', now), desc: '' }, [deckId]: deck(deckId, deckName, now) }),
+            JSON.stringify({ 1: deckConfig(now) }),
+            '{}'
+        ]);
+
+        const insertNote = db.prepare('INSERT INTO notes VALUES (?, ?, ?, ?, -1, ?, ?, ?, ?, 0, \'\')');
+        const insertCard = db.prepare('INSERT INTO cards VALUES (?, ?, ?, 0, ?, -1, ?, ?, ?, ?, ?, ?, ?, 0, 0, 0, 0, \'\')');
+
+        kanji.forEach((entry, index) => {
+            const progress = progressById.get(entry.id);
+            const fields = [
+                entry.character,
+                escapeHtml((entry.meanings || []).join(', ')),
+                escapeHtml((entry.readings || []).join('、')),
+                wordList(filterVariations(entry.variations, jlptLevel)),
+                escapeHtml(progress?.mnemonic || ''),
+                wordList(customWordsByKanji.get(entry.id) || []),
+                String(entry.level ?? ''),
+                entry.jlpt || ''
+            ];
+            const tags = [`level${entry.level}`, entry.jlpt].filter(Boolean).join(' ');
+            const id = now + index;
+
+            insertNote.run([id, noteGuid(entry), modelId, seconds, ` ${tags} `, fields.join('\x1f'), entry.character, fieldChecksum(entry.character)]);
+
+            const schedule = cardSchedule(progress, index + 1, collectionStart);
+            insertCard.run([id, id, deckId, seconds, schedule.type, schedule.queue, schedule.due, schedule.ivl, schedule.factor, schedule.reps, schedule.lapses]);
+        });
+
+        insertNote.free();
+        insertCard.free();
+
+        const zip = new JSZip();
+        zip.file('collection.anki2', db.export());
+        zip.file('media', '{}');
+        return zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+    } finally {
+        db.close();
+    }
+}
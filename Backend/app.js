@@ -0,0 +1,73 @@
+// The Express app, built from an injected data store and auth provider so it can
+// run under server.js or be mounted in-process (e.g. by tests with a stand-in
+// Supabase client).
+
+import express from 'express';
+import cors from 'cors';
+import rateLimit from 'express-rate-limit';
+import { log } from './log.js';
+import { loadKanjiDataset } from './kanjiDataset.js';
+import { requestLogger, createAuthenticateUser, errorHandler, notFound } from './middleware.js';
+import { authRoutes } from './routes/auth.js';
+import { progressRoutes } from './routes/progress.js';
+import { reviewsRoutes } from './routes/reviews.js';
+import { streakRoutes } from './routes/streak.js';
+import { settingsRoutes } from './routes/settings.js';
+import { customWordsRoutes } from './routes/customWords.js';
+import { kanjiRoutes } from './routes/kanji.js';
+import { accountRoutes } from './routes/account.js';
+import { eventsRoutes } from './routes/events.js';
+import { healthRoutes } from './routes/health.js';
+
+// Graded answers and bulk progress updates. Syncing a long offline session replays
+// every answer as its own request, so these are limited per account in
+// routes/progress.js instead of by the per-IP limit below.
+const SYNC_PATH = /^\/api\/(progress|word-progress|facet-progress)\/(\d+\/answer|bulk-update)$/;
+
+// db: stores from db/index.js. auth: a provider from auth/index.js.
+// kanjiDataset defaults to data/kanji.json.
+export function createApp({ db, auth, kanjiDataset = loadKanjiDataset() }) {
+    const app = express();
+    const authenticateUser = createAuthenticateUser(auth, db);
+    const deps = { db, auth, authenticateUser, kanjiDataset };
+
+    log('INFO', `Loaded kanji dataset v${kanjiDataset.version} (${kanjiDataset.kanji.length} kanji)`);
+
+    app.use(cors({
+        origin: ['http://localhost:5500', 'http://127.0.0.1:5500', 'http://localhost:5501', 'http://localhost:3000', 'https://kanjitenstudy.netlify.app'],
+        credentials: true,
+        methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
+        allowedHeaders: ['Content-Type', 'Authorization', 'If-None-Match', 'X-Session-Id'],
+        exposedHeaders: ['ETag', 'X-Content-Version', 'Content-Disposition']
+    }));
+
+    app.use(express.json({ limit: '10mb' }));
+    app.use(requestLogger);
+
+    // Rate limiting
+    app.use(rateLimit({
+        windowMs: 15 * 60 * 1000, // 15 minutes
+        max: 100, // limit each IP to 100 requests per windowMs
+        skip: req => req.method === 'POST' && SYNC_PATH.test(req.path)
+    }));
+
+    for (const routes of [
+        authRoutes,
+        progressRoutes,
+        reviewsRoutes,
+        streakRoutes,
+        settingsRoutes,
+        customWordsRoutes,
+        kanjiRoutes,
+        accountRoutes,
+        eventsRoutes,
+        healthRoutes
+    ]) {
+        app.use('/api', routes(deps));
+    }
+
+    app.use(errorHandler);
+    app.use(notFound);
+
+    return app;
+}
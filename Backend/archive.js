@@ -0,0 +1,419 @@
+// Account archives for GET /api/export and POST /api/import: a versioned JSON
+// document with everything a user owns, so it can be backed up or moved to
+// another account. Kanji are identified by character as well as id, so an
+// archive still imports after the dataset's ids change.
+
+import { FACETS } from './scheduler.js';
+
+export const ARCHIVE_FORMAT = 'kanjiten-archive';
+export const ARCHIVE_VERSION = 2;
+
+const MAX_CUSTOM_WORDS_PER_KANJI = 3;
+
+// SRS state of a word or facet, which share the kanji's scheduling columns
+function scheduleEntry(row) {
+    return {
+        learned: Boolean(row.learned),
+        interval: Number(row.srs_interval) || 1,
+        ease: Number(row.ease_factor) || 2.5,
+        stability: row.stability != null ? Number(row.stability) : null,
+        difficulty: row.difficulty != null ? Number(row.difficulty) : null,
+        consecutiveCorrect: row.consecutive_correct || 0,
+        totalReviews: row.total_reviews || 0,
+        correctReviews: row.correct_reviews || 0,
+        lastReview: row.last_review,
+        nextReview: row.next_review
+    };
+}
+
+function scheduleRow(entry) {
+    return {
+        learned: Boolean(entry.learned),
+        srs_interval: entry.interval || 1,
+        ease_factor: entry.ease || 2.5,
+        stability: entry.stability ?? null,
+        difficulty: entry.difficulty ?? null,
+        consecutive_correct: entry.consecutiveCorrect || 0,
+        total_reviews: entry.totalReviews || 0,
+        correct_reviews: entry.correctReviews || 0,
+        last_review: entry.lastReview || null,
+        next_review: entry.nextReview || null
+    };
+}
+
+// Rows for kanji no longer in the dataset are left out, since an import could not
+// place them
+export function buildArchive({ username, settings, streak, progress, wordProgress, facetProgress, customWords, reviews }, dataset) {
+    const character = id => dataset.byId.get(id).character;
+    const known = row => dataset.byId.has(row.kanji_id);
+
+    return {
+        format: ARCHIVE_FORMAT,
+        version: ARCHIVE_VERSION,
+        exportedAt: new Date().toISOString(),
+        datasetVersion: dataset.version,
+        account: { username },
+        settings,
+        streak: {
+            dailyStreak: streak?.daily_streak || 0,
+            lastReviewDate: streak?.last_review_date || null
+        },
+        progress: progress.filter(known).map(row => ({
+            kanjiId: row.kanji_id,
+            character: character(row.kanji_id),
+            learned: Boolean(row.learned),
+            inReview: Boolean(row.in_review),
+            interval: Number(row.srs_interval) || 1,
+            ease: Number(row.ease_factor) || 2.5,
+            stability: row.stability != null ? Number(row.stability) : null,
+            difficulty: row.difficulty != null ? Number(row.difficulty) : null,
+            consecutiveCorrect: row.consecutive_correct || 0,
+            totalReviews: row.total_reviews || 0,
+            correctReviews: row.correct_reviews || 0,
+            lastReview: row.last_review,
+            nextReview: row.next_review,
+            lapses: row.lapses || 0,
+            leech: Boolean(row.leech),
+            suspended: Boolean(row.suspended),
+            mnemonic: row.mnemonic || ''
+        })),
+        wordProgress: wordProgress.filter(known).map(row => ({
+            kanjiId: row.kanji_id,
+            character: character(row.kanji_id),
+            word: row.word,
+            ...scheduleEntry(row)
+        })),
+        facetProgress: facetProgress.filter(known).map(row => ({
+            kanjiId: row.kanji_id,
+            character: character(row.kanji_id),
+            facet: row.facet,
+            ...scheduleEntry(row)
+        })),
+        customWords: customWords.filter(known).map(row => ({
+            kanjiId: row.kanji_id,
+            character: character(row.kanji_id),
+            word: row.word,
+            reading: row.reading,
+            meaning: row.meaning,
+            wordType: row.word_type,
+            jlptLevel: row.jlpt_level,
+            createdAt: row.created_at
+        })),
+        reviews: reviews.filter(known).map(row => ({
+            kanjiId: row.kanji_id,
+            character: character(row.kanji_id),
+            word: row.word,
+            questionMode: row.question_mode,
+            facet: row.facet || null,
+            grade: row.grade,
+            timeTakenMs: row.time_taken_ms,
+            intervalBefore: row.interval_before != null ? Number(row.interval_before) : null,
+            intervalAfter: row.interval_after != null ? Number(row.interval_after) : null,
+            newCard: Boolean(row.new_card),
+            reviewedAt: row.reviewed_at
+        }))
+    };
+}
+
+export const CSV_SECTIONS = ['progress', 'wordProgress', 'facetProgress', 'customWords', 'reviews'];
+
+function csvField(value) {
+    if (value === null || value === undefined) return '';
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// One section of an archive as CSV, with a header row of the archive's field names
+export function archiveToCsv(archive, section) {
+    const rows = archive[section];
+    const columns = rows.length > 0 ? Object.keys(rows[0]) : [];
+    const lines = [columns.join(',')];
+    for (const row of rows) {
+        lines.push(columns.map(column => csvField(row[column])).join(','));
+    }
+    return lines.join('\r\n') + '\r\n';
+}
+
+function isDate(value) {
+    return typeof value === 'string' && !isNaN(new Date(value).getTime());
+}
+
+function isOptionalNumber(value) {
+    return value === null || value === undefined || Number.isFinite(value);
+}
+
+// Find the kanji an archive entry refers to, preferring the character
+function resolveKanji(entry, dataset) {
+    if (typeof entry?.character === 'string' && dataset.byCharacter.has(entry.character)) {
+        return dataset.byCharacter.get(entry.character);
+    }
+    if (entry?.character == null && Number.isInteger(entry?.kanjiId)) {
+        return dataset.byId.get(entry.kanjiId) || null;
+    }
+    return null;
+}
+
+// Check an uploaded archive. Returns a list of problems; an archive with any
+// problem is rejected as a whole rather than partially imported.
+export function validateArchive(archive, dataset) {
+    if (!archive || typeof archive !== 'object' || Array.isArray(archive)) {
+        return ['Archive must be a JSON object'];
+    }
+    if (archive.format !== ARCHIVE_FORMAT) {
+        return [`Not a Kanjiten archive (format must be "${ARCHIVE_FORMAT}")`];
+    }
+    if (!Number.isInteger(archive.version) || archive.version < 1) {
+        return ['Missing archive version'];
+    }
+    if (archive.version > ARCHIVE_VERSION) {
+        return [`Archive version ${archive.version} is newer than this server supports (${ARCHIVE_VERSION})`];
+    }
+
+    const errors = [];
+    const check = (condition, message) => {
+        if (!condition) errors.push(message);
+    };
+
+    for (const section of CSV_SECTIONS) {
+        check(archive[section] === undefined || Array.isArray(archive[section]), `${section} must be an array`);
+    }
+    check(archive.settings === undefined || (archive.settings && typeof archive.settings === 'object'), 'settings must be an object');
+    check(archive.streak === undefined || (archive.streak && typeof archive.streak === 'object'), 'streak must be an object');
+    if (errors.length > 0) return errors;
+
+    (archive.progress || []).forEach((entry, i) => {
+        check(resolveKanji(entry, dataset), `progress[${i}]: unknown kanji`);
+        check(isOptionalNumber(entry.totalReviews) && isOptionalNumber(entry.interval) && isOptionalNumber(entry.ease) && isOptionalNumber(entry.lapses),
+            `progress[${i}]: totalReviews, interval, ease and lapses must be numbers`);
+        check(entry.lastReview == null || isDate(entry.lastReview), `progress[${i}]: invalid lastReview`);
+        check(entry.nextReview == null || isDate(entry.nextReview), `progress[${i}]: invalid nextReview`);
+        check(entry.mnemonic == null || typeof entry.mnemonic === 'string', `progress[${i}]: mnemonic must be a string`);
+    });
+
+    const checkSchedule = (entry, label) => {
+        check(resolveKanji(entry, dataset), `${label}: unknown kanji`);
+        check(isOptionalNumber(entry.totalReviews) && isOptionalNumber(entry.interval) && isOptionalNumber(entry.ease),
+            `${label}: totalReviews, interval and ease must be numbers`);
+        check(entry.lastReview == null || isDate(entry.lastReview), `${label}: invalid lastReview`);
+        check(entry.nextReview == null || isDate(entry.nextReview), `${label}: invalid nextReview`);
+    };
+
+    (archive.wordProgress || []).forEach((entry, i) => {
+        checkSchedule(entry, `wordProgress[${i}]`);
+        check(typeof entry.word === 'string' && entry.word.trim(), `wordProgress[${i}]: word is required`);
+    });
+
+    (archive.facetProgress || []).forEach((entry, i) => {
+        checkSchedule(entry, `facetProgress[${i}]`);
+        check(FACETS.includes(entry.facet), `facetProgress[${i}]: facet must be one of ${FACETS.join(', ')}`);
+    });
+
+    (archive.customWords || []).forEach((entry, i) => {
+        check(resolveKanji(entry, dataset), `customWords[${i}]: unknown kanji`);
+        check(typeof entry.word === 'string' && entry.word.trim(), `customWords[${i}]: word is required`);
+    });
+
+    (archive.reviews || []).forEach((entry, i) => {
+        check(resolveKanji(entry, dataset), `reviews[${i}]: unknown kanji`);
+        check(Number.isInteger(entry.grade) && entry.grade >= 1 && entry.grade <= 4, `reviews[${i}]: grade must be 1-4`);
+        check(isDate(entry.reviewedAt), `reviews[${i}]: invalid reviewedAt`);
+    });
+
+    if (archive.streak) {
+        check(isOptionalNumber(archive.streak.dailyStreak), 'streak.dailyStreak must be a number');
+        check(archive.streak.lastReviewDate == null || isDate(archive.streak.lastReviewDate), 'streak.lastReviewDate is invalid');
+    }
+
+    return errors;
+}
+
+// Work out what importing a valid archive would change. current holds the
+// user's rows as read from the database; the result has a summary for the
+// dry-run preview and the rows to write.
+//
+// Merge rules: a kanji's SRS state comes from whichever side has more reviews,
+// and a mnemonic only fills an empty one; the SRS state of a word or facet is
+// merged the same way. Custom words are added unless the kanji already has that
+// word or its limit of three, and progress for a word the kanji ends up without
+// is skipped. Reviews already in the log
+// (same kanji and time) are skipped. The streak with the later review date wins.
+// Settings in the archive replace the current ones.
+export function planImport(archive, current, dataset, userId, now = new Date().toISOString()) {
+    const summary = {
+        progress: { added: 0, updated: 0, unchanged: 0 },
+        wordProgress: { added: 0, updated: 0, unchanged: 0, skipped: 0 },
+        facetProgress: { added: 0, updated: 0, unchanged: 0 },
+        customWords: { added: 0, skipped: 0 },
+        reviews: { added: 0, duplicates: 0 },
+        streak: false,
+        settings: []
+    };
+    const writes = { progress: [], wordProgress: [], facetProgress: [], customWords: [], reviews: [], streak: null, settings: null };
+
+    const progressById = new Map(current.progress.map(row => [row.kanji_id, row]));
+    for (const entry of archive.progress || []) {
+        const kanjiId = resolveKanji(entry, dataset).id;
+        const existing = progressById.get(kanjiId);
+        const mnemonic = entry.mnemonic || '';
+
+        if (!existing || (entry.totalReviews || 0) > (existing.total_reviews || 0)) {
+            const row = {
+                user_id: userId,
+                kanji_id: kanjiId,
+                learned: Boolean(entry.learned),
+                in_review: Boolean(entry.inReview),
+                srs_interval: entry.interval || 1,
+                ease_factor: entry.ease || 2.5,
+                stability: entry.stability ?? null,
+                difficulty: entry.difficulty ?? null,
+                consecutive_correct: entry.consecutiveCorrect || 0,
+                total_reviews: entry.totalReviews || 0,
+                correct_reviews: entry.correctReviews || 0,
+                last_review: entry.lastReview || null,
+                next_review: entry.nextReview || null,
+                lapses: entry.lapses || 0,
+                leech: Boolean(entry.leech),
+                suspended: Boolean(entry.suspended),
+                mnemonic: existing?.mnemonic || mnemonic || null,
+                field_updated_at: { ...existing?.field_updated_at, inReview: now, suspended: now, mnemonic: now, srs: now },
+                version: (existing?.version || 0) + 1,
+                updated_at: now
+            };
+            progressById.set(kanjiId, row);
+            writes.progress.push(row);
+            summary.progress[existing ? 'updated' : 'added']++;
+        } else if (mnemonic && !existing.mnemonic) {
+            const row = {
+                ...existing,
+                mnemonic,
+                field_updated_at: { ...existing.field_updated_at, mnemonic: now },
+                version: (existing.version || 0) + 1,
+                updated_at: now
+            };
+            progressById.set(kanjiId, row);
+            writes.progress.push(row);
+            summary.progress.updated++;
+        } else {
+            summary.progress.unchanged++;
+        }
+    }
+
+    const wordsByKanji = new Map();
+    for (const row of current.customWords) {
+        if (!wordsByKanji.has(row.kanji_id)) wordsByKanji.set(row.kanji_id, new Set());
+        wordsByKanji.get(row.kanji_id).add(row.word);
+    }
+    for (const entry of archive.customWords || []) {
+        const kanjiId = resolveKanji(entry, dataset).id;
+        const words = wordsByKanji.get(kanjiId) || new Set();
+        const word = entry.word.trim();
+        if (words.has(word) || words.size >= MAX_CUSTOM_WORDS_PER_KANJI) {
+            summary.customWords.skipped++;
+            continue;
+        }
+        words.add(word);
+        wordsByKanji.set(kanjiId, words);
+        writes.customWords.push({
+            user_id: userId,
+            kanji_id: kanjiId,
+            word,
+            reading: entry.reading || null,
+            meaning: entry.meaning || null,
+            word_type: entry.wordType || null,
+            jlpt_level: entry.jlptLevel || null
+        });
+        summary.customWords.added++;
+    }
+
+    // Words and facets are keyed by kanji plus the column of that name. keep, if
+    // given, drops entries the account has nothing to attach to.
+    const mergeSchedules = (section, column, keep = null) => {
+        const scheduleKey = (kanjiId, value) => `${kanjiId}:${value}`;
+        const byKey = new Map(current[section].map(row => [scheduleKey(row.kanji_id, row[column]), row]));
+        for (const entry of archive[section] || []) {
+            const kanjiId = resolveKanji(entry, dataset).id;
+            const value = entry[column].trim();
+            const key = scheduleKey(kanjiId, value);
+            const existing = byKey.get(key);
+
+            if (keep && !keep(kanjiId, value)) {
+                summary[section].skipped++;
+                continue;
+            }
+            if (existing && (entry.totalReviews || 0) <= (existing.total_reviews || 0)) {
+                summary[section].unchanged++;
+                continue;
+            }
+            const row = {
+                user_id: userId,
+                kanji_id: kanjiId,
+                [column]: value,
+                ...scheduleRow(entry),
+                field_updated_at: { ...existing?.field_updated_at, srs: now },
+                updated_at: now
+            };
+            byKey.set(key, row);
+            writes[section].push(row);
+            summary[section][existing ? 'updated' : 'added']++;
+        }
+    };
+    // A word's progress needs the word: built in, or a custom word the account has
+    // or just imported (not one skipped at the limit)
+    mergeSchedules('wordProgress', 'word', (kanjiId, word) =>
+        dataset.byId.get(kanjiId).variations?.some(variation => variation.word === word) ||
+        Boolean(wordsByKanji.get(kanjiId)?.has(word)));
+    mergeSchedules('facetProgress', 'facet');
+
+    const reviewKey = (kanjiId, reviewedAt) => `${kanjiId}@${new Date(reviewedAt).getTime()}`;
+    const loggedReviews = new Set(current.reviews.map(row => reviewKey(row.kanji_id, row.reviewed_at)));
+    for (const entry of archive.reviews || []) {
+        const kanjiId = resolveKanji(entry, dataset).id;
+        const key = reviewKey(kanjiId, entry.reviewedAt);
+        if (loggedReviews.has(key)) {
+            summary.reviews.duplicates++;
+            continue;
+        }
+        loggedReviews.add(key);
+        writes.reviews.push({
+            user_id: userId,
+            kanji_id: kanjiId,
+            word: entry.word || null,
+            question_mode: entry.questionMode || null,
+            facet: FACETS.includes(entry.facet) ? entry.facet : null,
+            grade: entry.grade,
+            time_taken_ms: Number.isFinite(entry.timeTakenMs) && entry.timeTakenMs >= 0 ? Math.round(entry.timeTakenMs) : null,
+            interval_before: entry.intervalBefore ?? null,
+            interval_after: entry.intervalAfter ?? null,
+            new_card: entry.newCard === true,
+            reviewed_at: new Date(entry.reviewedAt).toISOString()
+        });
+        summary.reviews.added++;
+    }
+
+    const streak = archive.streak;
+    if (streak?.lastReviewDate) {
+        const currentDate = current.streak?.last_review_date || '';
+        const archiveDate = streak.lastReviewDate.slice(0, 10);
+        if (archiveDate > currentDate ||
+            (archiveDate === currentDate && (streak.dailyStreak || 0) > (current.streak?.daily_streak || 0))) {
+            writes.streak = {
+                user_id: userId,
+                daily_streak: streak.dailyStreak || 0,
+                last_review_date: archiveDate,
+                updated_at: now
+            };
+            summary.streak = true;
+        }
+    }
+
+    if (archive.settings) {
+        summary.settings = Object.keys(archive.settings)
+            .filter(key => key in current.settings &&
+                JSON.stringify(archive.settings[key]) !== JSON.stringify(current.settings[key]));
+        if (summary.settings.length > 0) {
+            writes.settings = { ...current.settings, ...archive.settings };
+        }
+    }
+
+    return { summary, writes };
+}
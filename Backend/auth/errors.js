@@ -0,0 +1,9 @@
+// A sign-up or sign-in the provider refused (bad credentials, email taken...).
+// The message is safe to show the user; code is set for cases routes handle
+// specially, e.g. 'email_not_confirmed'.
+export class AuthError extends Error {
+    constructor(message, code = null) {
+        super(message);
+        this.code = code;
+    }
+}
@@ -0,0 +1,7 @@
+// Auth providers for the routes: Supabase Auth, or local accounts with JWT
+// sessions for self-hosting. Both resolve sign-ups and sign-ins to
+// { user, session } and throw AuthError when the provider refuses.
+
+export { AuthError } from './errors.js';
+export { createSupabaseAuth } from './supabase.js';
+export { createLocalAuth } from './local.js';
@@ -0,0 +1,104 @@
+// Self-hosted auth for the SQLite store: accounts live in its users table,
+// passwords are hashed with scrypt and sessions are HS256 JWTs signed with
+// JWT_SECRET. There is no email confirmation, so sign-up returns a session
+// straight away. Tokens are not stored, so signing out is left to the client.
+
+import { randomBytes, randomUUID, scrypt, timingSafeEqual } from 'crypto';
+import { promisify } from 'util';
+import jwt from 'jsonwebtoken';
+import { AuthError } from './errors.js';
+
+const scryptAsync = promisify(scrypt);
+const KEY_LENGTH = 64;
+
+async function hashPassword(password) {
+    const salt = randomBytes(16);
+    const hash = await scryptAsync(password, salt, KEY_LENGTH);
+    return `scrypt$${salt.toString('base64')}$${hash.toString('base64')}`;
+}
+
+async function verifyPassword(password, stored) {
+    const [scheme, salt, hash] = String(stored).split('$');
+    if (scheme !== 'scrypt' || !salt || !hash) return false;
+    const expected = Buffer.from(hash, 'base64');
+    const actual = await scryptAsync(password, Buffer.from(salt, 'base64'), expected.length);
+    return timingSafeEqual(expected, actual);
+}
+
+// database: the SQLite db's open database (see db/sqlite/index.js)
+export function createLocalAuth(database, { secret, expiresIn = '7d' }) {
+    if (!secret) {
+        throw new Error('Local auth needs a JWT secret');
+    }
+
+    // Shaped like a Supabase session; the client only reads access_token
+    function createSession(user) {
+        const accessToken = jwt.sign({ sub: user.id, email: user.email }, secret, { expiresIn });
+        const { exp } = jwt.decode(accessToken);
+        return {
+            access_token: accessToken,
+            token_type: 'bearer',
+            expires_at: exp,
+            expires_in: exp - Math.floor(Date.now() / 1000),
+            user
+        };
+    }
+
+    return {
+        async getUser(token) {
+            let payload;
+            try {
+                payload = jwt.verify(token, secret);
+            } catch {
+                return null;
+            }
+            return database.get('SELECT id, email FROM users WHERE id = ?', [payload.sub]);
+        },
+
+        async signUp({ email, password, username, isAnonymous = false }) {
+            // Hash first: with no await between the check and the insert, two
+            // sign-ups for one email can't both pass the check
+            const passwordHash = await hashPassword(password);
+            if (database.get('SELECT id FROM users WHERE email = ?', [email])) {
+                throw new AuthError('User already registered', 'user_already_exists');
+            }
+
+            const user = { id: randomUUID(), email };
+            database.transaction(() => {
+                database.write('INSERT INTO users (id, email, password_hash) VALUES (?, ?, ?) RETURNING id',
+                    [user.id, email, passwordHash]);
+                database.write('INSERT INTO profiles (id, username, is_anonymous) VALUES (?, ?, ?) RETURNING id',
+                    [user.id, username, isAnonymous]);
+            });
+
+            return { user, session: createSession(user) };
+        },
+
+        async signIn(email, password) {
+            const row = database.get('SELECT id, email, password_hash FROM users WHERE email = ?', [email]);
+            if (!row || !(await verifyPassword(password, row.password_hash))) {
+                throw new AuthError('Invalid login credentials', 'invalid_credentials');
+            }
+
+            const user = { id: row.id, email: row.email };
+            return { user, session: createSession(user) };
+        },
+
+        async resendConfirmation() {
+            throw new AuthError('Email confirmation is not used on this server');
+        },
+
+        async signOut() {},
+
+        async setCredentials(userId, { email, password }) {
+            const passwordHash = await hashPassword(password);
+            const owner = database.get('SELECT id FROM users WHERE email = ?', [email]);
+            if (owner && owner.id !== userId) {
+                throw new AuthError('A user with this email address has already been registered', 'email_exists');
+            }
+
+            database.write('UPDATE users SET email = ?, password_hash = ? WHERE id = ? RETURNING id',
+                [email, passwordHash, userId]);
+        }
+    };
+}
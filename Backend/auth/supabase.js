@@ -0,0 +1,57 @@
+import { AuthError } from './errors.js';
+
+function authError(error) {
+    const code = error.message?.includes('Email not confirmed') ? 'email_not_confirmed' : error.code;
+    return new AuthError(error.message, code);
+}
+
+// Supabase Auth. Profiles are created by the database's signup trigger from the
+// username in the user metadata.
+export function createSupabaseAuth(supabase, supabaseAdmin) {
+    return {
+        // The user a token belongs to, or null if it is invalid or expired
+        async getUser(token) {
+            const { data, error } = await supabase.auth.getUser(token);
+            return error ? null : data.user;
+        },
+
+        // Resolves to { user, session }; session is null until the email is confirmed
+        async signUp({ email, password, username, isAnonymous = false }) {
+            const { data, error } = await supabase.auth.signUp({
+                email,
+                password,
+                options: {
+                    data: isAnonymous ? { username, is_anonymous: true } : { username }
+                }
+            });
+            if (error) throw authError(error);
+            return { user: data.user, session: data.session };
+        },
+
+        async signIn(email, password) {
+            const { data, error } = await supabase.auth.signInWithPassword({ email, password });
+            if (error) throw authError(error);
+            return { user: data.user, session: data.session };
+        },
+
+        async resendConfirmation(email) {
+            const { error } = await supabase.auth.resend({ type: 'signup', email });
+            if (error) throw authError(error);
+        },
+
+        async signOut() {
+            const { error } = await supabase.auth.signOut();
+            if (error) throw error;
+        },
+
+        // Give an existing (guest) user a real email, password and username
+        async setCredentials(userId, { email, password, username }) {
+            const { error } = await supabaseAdmin.auth.admin.updateUserById(userId, {
+                email,
+                password,
+                user_metadata: { username, is_anonymous: false }
+            });
+            if (error) throw authError(error);
+        }
+    };
+}
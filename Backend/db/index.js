@@ -0,0 +1,14 @@
+// Data access for the routes. Every table goes through a store, so no route
+// builds a query itself, and the storage behind the stores can be swapped:
+//
+//   createSupabaseDb(supabase)  the hosted Supabase database
+//   createSqliteDb(path)        a local SQLite file, for self-hosting
+//
+// Both return the same stores (profiles, progress, streaks, settings,
+// customWords, reviews, wordProgress, facetProgress) with the same methods.
+// Methods are async, take and return rows shaped like the Postgres tables, and
+// throw when a query fails; lookups of a single row resolve to null when there is none.
+
+export { createSupabaseDb } from './supabase/index.js';
+export { createSqliteDb } from './sqlite/index.js';
+export { settingsFromRow, settingsRow, LANGUAGES, SCHEDULERS, QUEUE_ORDERS, REVIEW_UNITS, LEECH_ACTIONS } from './settings.js';
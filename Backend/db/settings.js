@@ -0,0 +1,97 @@
+// The client's settings object and its user_settings row, shared by every store
+
+export const LANGUAGES = ['en', 'ja'];
+export const SCHEDULERS = ['sm2', 'fsrs'];
+export const QUEUE_ORDERS = ['due-date', 'level', 'overdue', 'interleaved'];
+export const REVIEW_UNITS = ['kanji', 'word'];
+export const LEECH_ACTIONS = ['tag', 'suspend'];
+
+// Map a user_settings row (or null) to the client's settings object, filling in defaults
+export function settingsFromRow(data, username) {
+    const defaultSettings = {
+        profileName: username || 'User',
+        maxLevel: 10,
+        jlptLevel: 'all',
+        maxInterval: 180,
+        showProgress: true,
+        showDrawing: true,
+        showStudyProgress: true,
+        showStrokeGuide: false,
+        defaultQuestionMode: 'meaning-first',
+        darkMode: false,
+        language: 'en',
+        scheduler: 'sm2',
+        newPerDay: 10,
+        reviewsPerDay: 200,
+        queueOrder: 'due-date',
+        reviewUnit: 'kanji',
+        leechThreshold: 8,
+        leechAction: 'tag'
+    };
+
+    if (!data) return defaultSettings;
+
+    return {
+        profileName: data.profile_name || defaultSettings.profileName,
+        maxLevel: data.max_level || defaultSettings.maxLevel,
+        jlptLevel: data.jlpt_level || defaultSettings.jlptLevel,
+        maxInterval: data.max_interval || defaultSettings.maxInterval,
+        showProgress: data.show_progress !== null ? data.show_progress : defaultSettings.showProgress,
+        showDrawing: data.show_drawing !== null ? data.show_drawing : defaultSettings.showDrawing,
+        showStudyProgress: data.show_study_progress !== null ? data.show_study_progress : defaultSettings.showStudyProgress,
+        showStrokeGuide: data.show_stroke_guide ?? defaultSettings.showStrokeGuide,
+        defaultQuestionMode: data.default_question_mode || defaultSettings.defaultQuestionMode,
+        darkMode: data.dark_mode !== null ? data.dark_mode : defaultSettings.darkMode,
+        language: data.language || defaultSettings.language,
+        scheduler: data.scheduler || defaultSettings.scheduler,
+        newPerDay: data.new_per_day ?? defaultSettings.newPerDay,
+        reviewsPerDay: data.reviews_per_day ?? defaultSettings.reviewsPerDay,
+        queueOrder: data.queue_order || defaultSettings.queueOrder,
+        reviewUnit: data.review_unit || defaultSettings.reviewUnit,
+        leechThreshold: data.leech_threshold ?? defaultSettings.leechThreshold,
+        leechAction: data.leech_action || defaultSettings.leechAction
+    };
+}
+
+// A per-day limit is a whole number from 0 up; anything else is left unset
+function dailyLimit(value) {
+    return Number.isInteger(value) && value >= 0 ? value : undefined;
+}
+
+// A leech threshold is a whole number of lapses from 1 up; anything else is left unset
+function leechThreshold(value) {
+    return Number.isInteger(value) && value >= 1 ? value : undefined;
+}
+
+// One of the allowed values, or unset
+function oneOf(values, value) {
+    return values.includes(value) ? value : undefined;
+}
+
+// Map the client's settings object to a user_settings row. Settings that are
+// missing, or invalid for the choices and limits below, are left out so the
+// stored ones are kept (a new row takes the column defaults).
+export function settingsRow(userId, settings) {
+    return {
+        user_id: userId,
+        profile_name: settings.profileName,
+        max_level: settings.maxLevel,
+        jlpt_level: settings.jlptLevel,
+        max_interval: settings.maxInterval,
+        show_progress: settings.showProgress,
+        show_drawing: settings.showDrawing,
+        show_study_progress: settings.showStudyProgress,
+        show_stroke_guide: settings.showStrokeGuide,
+        default_question_mode: settings.defaultQuestionMode,
+        dark_mode: settings.darkMode,
+        language: oneOf(LANGUAGES, settings.language),
+        scheduler: oneOf(SCHEDULERS, settings.scheduler),
+        new_per_day: dailyLimit(settings.newPerDay),
+        reviews_per_day: dailyLimit(settings.reviewsPerDay),
+        queue_order: oneOf(QUEUE_ORDERS, settings.queueOrder),
+        review_unit: oneOf(REVIEW_UNITS, settings.reviewUnit),
+        leech_threshold: leechThreshold(settings.leechThreshold),
+        leech_action: oneOf(LEECH_ACTIONS, settings.leechAction),
+        updated_at: new Date().toISOString()
+    };
+}
@@ -0,0 +1,32 @@
+import { insertStatement, writeAll } from './query.js';
+
+const insertWord = row => insertStatement('user_custom_words', row);
+
+// user_custom_words: words a user has added to a kanji
+export function customWordsStore(database) {
+    return {
+        async list(userId, kanjiId) {
+            return database.all('SELECT * FROM user_custom_words WHERE user_id = ? AND kanji_id = ? ORDER BY created_at, id', [userId, kanjiId]);
+        },
+
+        async listAll(userId) {
+            return database.all('SELECT * FROM user_custom_words WHERE user_id = ? ORDER BY created_at, id', [userId]);
+        },
+
+        async count(userId, kanjiId) {
+            return database.get('SELECT count(*) AS count FROM user_custom_words WHERE user_id = ? AND kanji_id = ?', [userId, kanjiId]).count;
+        },
+
+        async add(row) {
+            return writeAll(database, [row], insertWord)[0];
+        },
+
+        async insert(rows) {
+            writeAll(database, rows, insertWord);
+        },
+
+        async remove(userId, wordId) {
+            return database.write('DELETE FROM user_custom_words WHERE id = ? AND user_id = ? RETURNING kanji_id, word', [wordId, userId]);
+        }
+    };
+}
@@ -0,0 +1,123 @@
+// A SQLite database file opened with sql.js. sql.js keeps the whole database in
+// memory, so every committed write is saved back to the file (written to a
+// temporary file and renamed, so a crash never leaves half a database). The
+// path ':memory:' skips saving, e.g. for tests.
+
+import { existsSync, readdirSync, readFileSync, renameSync, writeFileSync } from 'fs';
+import { loadSqlJs } from './sqlJs.js';
+
+const MIGRATIONS_DIR = new URL('./migrations/', import.meta.url);
+
+const BOOLEAN_COLUMNS = new Set([
+    'learned', 'in_review', 'is_anonymous', 'show_progress', 'show_drawing',
+    'show_study_progress', 'show_stroke_guide', 'dark_mode', 'new_card',
+    'leech', 'suspended'
+]);
+const JSON_COLUMNS = new Set(['field_updated_at']);
+
+// sql.js binds only numbers, strings, null and byte arrays
+function encodeValue(value) {
+    if (value === undefined) return null;
+    if (typeof value === 'boolean') return value ? 1 : 0;
+    if (value instanceof Date) return value.toISOString();
+    if (value !== null && typeof value === 'object' && !(value instanceof Uint8Array)) return JSON.stringify(value);
+    return value;
+}
+
+function decodeRow(row) {
+    for (const column of Object.keys(row)) {
+        if (row[column] === null) continue;
+        if (BOOLEAN_COLUMNS.has(column)) row[column] = Boolean(row[column]);
+        else if (JSON_COLUMNS.has(column)) row[column] = JSON.parse(row[column]);
+    }
+    return row;
+}
+
+// Apply migrations/NNN_*.sql newer than the file's user_version
+function migrate(db) {
+    const [{ values: [[current]] }] = db.exec('PRAGMA user_version');
+    const files = readdirSync(MIGRATIONS_DIR).filter(name => /^\d+_.*\.sql$/.test(name)).sort();
+
+    for (const name of files) {
+        const version = parseInt(name);
+        if (version <= current) continue;
+        db.run('BEGIN');
+        try {
+            db.exec(readFileSync(new URL(name, MIGRATIONS_DIR), 'utf8'));
+            db.run(`PRAGMA user_version = ${version}`);
+            db.run('COMMIT');
+        } catch (error) {
+            db.run('ROLLBACK');
+            throw new Error(`SQLite migration ${name} failed: ${error.message}`);
+        }
+    }
+}
+
+export async function openSqliteDatabase(path) {
+    const SQL = await loadSqlJs();
+    const inMemory = path === ':memory:';
+    const db = new SQL.Database(!inMemory && existsSync(path) ? readFileSync(path) : undefined);
+    let transactionDepth = 0;
+
+    // export() reopens the database, which resets pragmas
+    const configure = () => db.run('PRAGMA foreign_keys = ON');
+
+    function save() {
+        if (inMemory || transactionDepth > 0) return;
+        const data = db.export();
+        configure();
+        writeFileSync(`${path}.tmp`, data);
+        renameSync(`${path}.tmp`, path);
+    }
+
+    configure();
+    migrate(db);
+    save();
+
+    return {
+        all(sql, params = []) {
+            const statement = db.prepare(sql);
+            try {
+                statement.bind(params.map(encodeValue));
+                const rows = [];
+                while (statement.step()) rows.push(decodeRow(statement.getAsObject()));
+                return rows;
+            } finally {
+                statement.free();
+            }
+        },
+
+        get(sql, params = []) {
+            return this.all(sql, params)[0] || null;
+        },
+
+        // For INSERT/UPDATE/DELETE ... RETURNING: the returned rows, saved
+        // once the statement has run
+        write(sql, params = []) {
+            const rows = this.all(sql, params);
+            save();
+            return rows;
+        },
+
+        // Run fn's writes as one transaction, saved once at the end
+        transaction(fn) {
+            db.run('BEGIN');
+            transactionDepth++;
+            try {
+                const result = fn();
+                transactionDepth--;
+                db.run('COMMIT');
+                save();
+                return result;
+            } catch (error) {
+                transactionDepth--;
+                db.run('ROLLBACK');
+                throw error;
+            }
+        },
+
+        close() {
+            db.close();
+        }
+    };
+}
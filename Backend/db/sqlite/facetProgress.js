@@ -0,0 +1,29 @@
+import { upsertStatement, writeAll } from './query.js';
+
+const upsertFacetProgress = row => upsertStatement('user_facet_progress', row, ['user_id', 'kanji_id', 'facet']);
+
+// user_facet_progress: one row per user, kanji and facet ('reading' or 'meaning'),
+// keyed by (user_id, kanji_id, facet)
+export function facetProgressStore(database) {
+    return {
+        async list(userId) {
+            return database.all('SELECT * FROM user_facet_progress WHERE user_id = ?', [userId]);
+        },
+
+        async listAll(userId) {
+            return database.all('SELECT * FROM user_facet_progress WHERE user_id = ? ORDER BY kanji_id, facet', [userId]);
+        },
+
+        async get(userId, kanjiId, facet) {
+            return database.get('SELECT * FROM user_facet_progress WHERE user_id = ? AND kanji_id = ? AND facet = ?', [userId, kanjiId, facet]);
+        },
+
+        async upsert(rows) {
+            writeAll(database, rows, upsertFacetProgress);
+        },
+
+        async save(row) {
+            return writeAll(database, [row], upsertFacetProgress)[0];
+        }
+    };
+}
@@ -0,0 +1,26 @@
+import { openSqliteDatabase } from './database.js';
+import { profilesStore } from './profiles.js';
+import { progressStore } from './progress.js';
+import { streaksStore } from './streaks.js';
+import { settingsStore } from './settings.js';
+import { customWordsStore } from './customWords.js';
+import { reviewsStore } from './reviews.js';
+import { wordProgressStore } from './wordProgress.js';
+import { facetProgressStore } from './facetProgress.js';
+
+// A local SQLite file (created and migrated on first use). The returned db also
+// carries the open database, which the local auth provider shares for its users table.
+export async function createSqliteDb(path) {
+    const database = await openSqliteDatabase(path);
+    return {
+        database,
+        profiles: profilesStore(database),
+        progress: progressStore(database),
+        streaks: streaksStore(database),
+        settings: settingsStore(database),
+        customWords: customWordsStore(database),
+        reviews: reviewsStore(database),
+        wordProgress: wordProgressStore(database),
+        facetProgress: facetProgressStore(database)
+    };
+}
@@ -0,0 +1,93 @@
+-- Local equivalent of the Supabase schema (auth.users plus the public tables and
+-- Backend/migrations 001-005). Booleans are 0/1, timestamps ISO 8601 text and
+-- field_updated_at JSON text; the SQLite stores convert them back.
+create table users (
+    id text primary key,
+    email text not null unique collate nocase,
+    password_hash text not null,
+    created_at text not null default (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+create table profiles (
+    id text primary key references users (id) on delete cascade,
+    username text not null unique,
+    is_anonymous integer not null default 0,
+    last_login text,
+    created_at text not null default (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+create table user_kanji_progress (
+    user_id text not null references users (id) on delete cascade,
+    kanji_id integer not null,
+    learned integer not null default 0,
+    in_review integer not null default 0,
+    srs_interval real not null default 1,
+    ease_factor real not null default 2.5,
+    stability real,
+    difficulty real,
+    consecutive_correct integer not null default 0,
+    total_reviews integer not null default 0,
+    correct_reviews integer not null default 0,
+    last_review text,
+    next_review text,
+    mnemonic text,
+    field_updated_at text not null default '{}',
+    version integer not null default 0,
+    created_at text not null default (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    updated_at text,
+    primary key (user_id, kanji_id)
+);
+
+create table user_streaks (
+    user_id text primary key references users (id) on delete cascade,
+    daily_streak integer not null default 0,
+    last_review_date text,
+    updated_at text
+);
+
+create table user_settings (
+    user_id text primary key references users (id) on delete cascade,
+    profile_name text,
+    max_level integer,
+    jlpt_level text,
+    max_interval integer,
+    show_progress integer,
+    show_drawing integer,
+    show_study_progress integer,
+    show_stroke_guide integer not null default 0,
+    default_question_mode text,
+    dark_mode integer,
+    language text default 'en',
+    scheduler text not null default 'sm2' check (scheduler in ('sm2', 'fsrs')),
+    updated_at text
+);
+
+create table user_custom_words (
+    id integer primary key autoincrement,
+    user_id text not null references users (id) on delete cascade,
+    kanji_id integer not null,
+    word text not null,
+    reading text,
+    meaning text,
+    word_type text,
+    jlpt_level text,
+    created_at text not null default (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+create index user_custom_words_user_kanji_idx on user_custom_words (user_id, kanji_id);
+
+create table review_log (
+    id integer primary key autoincrement,
+    user_id text not null references users (id) on delete cascade,
+    kanji_id integer not null,
+    word text,
+    question_mode text,
+    grade integer not null check (grade between 1 and 4),
+    time_taken_ms integer check (time_taken_ms >= 0),
+    interval_before real,
+    interval_after real,
+    reviewed_at text not null default (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+create index review_log_user_reviewed_at_idx on review_log (user_id, reviewed_at desc);
+create index review_log_user_kanji_idx on review_log (user_id, kanji_id);
@@ -0,0 +1,7 @@
+-- Backend/migrations/006_daily_limits.sql
+alter table user_settings add column new_per_day integer not null default 10 check (new_per_day >= 0);
+alter table user_settings add column reviews_per_day integer not null default 200 check (reviews_per_day >= 0);
+alter table user_settings add column queue_order text not null default 'due-date'
+    check (queue_order in ('due-date', 'level', 'overdue', 'interleaved'));
+
+alter table review_log add column new_card integer not null default 0;
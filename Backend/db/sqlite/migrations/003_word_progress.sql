@@ -0,0 +1,22 @@
+-- Backend/migrations/007_word_progress.sql
+create table user_word_progress (
+    user_id text not null references users (id) on delete cascade,
+    kanji_id integer not null,
+    word text not null,
+    learned integer not null default 0,
+    srs_interval real not null default 1,
+    ease_factor real not null default 2.5,
+    stability real,
+    difficulty real,
+    consecutive_correct integer not null default 0,
+    total_reviews integer not null default 0,
+    correct_reviews integer not null default 0,
+    last_review text,
+    next_review text,
+    field_updated_at text not null default '{}',
+    created_at text not null default (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    updated_at text,
+    primary key (user_id, kanji_id, word)
+);
+
+alter table user_settings add column review_unit text not null default 'kanji' check (review_unit in ('kanji', 'word'));
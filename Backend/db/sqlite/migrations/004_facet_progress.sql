@@ -0,0 +1,22 @@
+-- Backend/migrations/008_facet_progress.sql
+create table user_facet_progress (
+    user_id text not null references users (id) on delete cascade,
+    kanji_id integer not null,
+    facet text not null check (facet in ('reading', 'meaning')),
+    learned integer not null default 0,
+    srs_interval real not null default 1,
+    ease_factor real not null default 2.5,
+    stability real,
+    difficulty real,
+    consecutive_correct integer not null default 0,
+    total_reviews integer not null default 0,
+    correct_reviews integer not null default 0,
+    last_review text,
+    next_review text,
+    field_updated_at text not null default '{}',
+    created_at text not null default (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    updated_at text,
+    primary key (user_id, kanji_id, facet)
+);
+
+alter table review_log add column facet text check (facet in ('reading', 'meaning'));
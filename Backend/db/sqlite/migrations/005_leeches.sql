@@ -0,0 +1,8 @@
+-- Backend/migrations/009_leeches.sql
+alter table user_kanji_progress add column lapses integer not null default 0;
+alter table user_kanji_progress add column leech integer not null default 0;
+alter table user_kanji_progress add column suspended integer not null default 0;
+
+alter table user_settings add column leech_threshold integer not null default 8 check (leech_threshold >= 1);
+alter table user_settings add column leech_action text not null default 'tag'
+    check (leech_action in ('tag', 'suspend'));
@@ -0,0 +1,28 @@
+import { columnList } from './query.js';
+
+// profiles: one row per user, created with the user by the local auth provider
+export function profilesStore(database) {
+    return {
+        async get(userId, columns = '*') {
+            return database.get(`SELECT ${columnList(columns)} FROM profiles WHERE id = ?`, [userId]);
+        },
+
+        async findByUsername(username) {
+            return database.get('SELECT id FROM profiles WHERE username = ?', [username]);
+        },
+
+        async update(userId, fields) {
+            const columns = Object.keys(fields).map(columnList);
+            database.write(`UPDATE profiles SET ${columns.map(column => `${column} = ?`).join(', ')} WHERE id = ? RETURNING id`,
+                [...columns.map(column => fields[column]), userId]);
+        },
+
+        async count() {
+            return database.get('SELECT count(*) AS count FROM profiles').count;
+        },
+
+        async ping() {
+            database.get('SELECT 1');
+        }
+    };
+}
@@ -0,0 +1,37 @@
+import { columnList, upsertStatement, writeAll } from './query.js';
+
+const upsertProgress = row => upsertStatement('user_kanji_progress', row, ['user_id', 'kanji_id']);
+
+// user_kanji_progress: one row per user and kanji, keyed by (user_id, kanji_id)
+export function progressStore(database) {
+    return {
+        async list(userId, columns = '*') {
+            return database.all(`SELECT ${columnList(columns)} FROM user_kanji_progress WHERE user_id = ?`, [userId]);
+        },
+
+        async listAll(userId) {
+            return database.all('SELECT * FROM user_kanji_progress WHERE user_id = ? ORDER BY kanji_id', [userId]);
+        },
+
+        async listByKanji(userId, kanjiIds) {
+            return database.all(`SELECT * FROM user_kanji_progress WHERE user_id = ? AND kanji_id IN (${kanjiIds.map(() => '?').join(', ')})`,
+                [userId, ...kanjiIds]);
+        },
+
+        async get(userId, kanjiId, columns = '*') {
+            return database.get(`SELECT ${columnList(columns)} FROM user_kanji_progress WHERE user_id = ? AND kanji_id = ?`, [userId, kanjiId]);
+        },
+
+        async upsert(rows) {
+            writeAll(database, [rows].flat(), upsertProgress);
+        },
+
+        async save(row) {
+            return writeAll(database, [row], upsertProgress)[0];
+        },
+
+        async count() {
+            return database.get('SELECT count(*) AS count FROM user_kanji_progress').count;
+        }
+    };
+}
@@ -0,0 +1,47 @@
+// SQL builders shared by the SQLite stores
+
+// The stores take PostgREST-style column lists ('*' or 'a, b'); only plain
+// names are allowed since they end up in the SQL text
+export function columnList(columns) {
+    if (!/^\s*(\*|\w+(\s*,\s*\w+)*)\s*$/.test(columns)) {
+        throw new Error(`Invalid column list: ${columns}`);
+    }
+    return columns;
+}
+
+// The row's columns, leaving out undefined values as JSON (and so PostgREST) does
+function rowColumns(row) {
+    return Object.keys(row).filter(column => row[column] !== undefined).map(columnList);
+}
+
+// INSERT ... ON CONFLICT DO UPDATE for one row, like a PostgREST upsert: only the
+// row's own columns are written, so omitted ones keep their stored values
+export function upsertStatement(table, row, conflictColumns) {
+    const columns = rowColumns(row);
+    const updates = columns
+        .filter(column => !conflictColumns.includes(column))
+        .map(column => `${column} = excluded.${column}`);
+
+    return {
+        sql: `INSERT INTO ${table} (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})
+            ON CONFLICT (${conflictColumns.join(', ')}) ${updates.length > 0 ? `DO UPDATE SET ${updates.join(', ')}` : 'DO NOTHING'}
+            RETURNING *`,
+        params: columns.map(column => row[column])
+    };
+}
+
+export function insertStatement(table, row) {
+    const columns = rowColumns(row);
+    return {
+        sql: `INSERT INTO ${table} (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')}) RETURNING *`,
+        params: columns.map(column => row[column])
+    };
+}
+
+// Write several rows in one transaction
+export function writeAll(database, rows, statement) {
+    return database.transaction(() => rows.flatMap((row) => {
+        const { sql, params } = statement(row);
+        return database.write(sql, params);
+    }));
+}
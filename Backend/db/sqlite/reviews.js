@@ -0,0 +1,33 @@
+import { insertStatement, writeAll } from './query.js';
+
+// reviewed_at is compared as text, so store every timestamp in the same ISO form
+const insertReview = row => insertStatement('review_log', row.reviewed_at
+    ? { ...row, reviewed_at: new Date(row.reviewed_at).toISOString() }
+    : row);
+
+// review_log: one row per answer, append-only
+export function reviewsStore(database) {
+    return {
+        async add(row) {
+            return writeAll(database, [row], insertReview)[0];
+        },
+
+        async insert(rows) {
+            writeAll(database, rows, insertReview);
+        },
+
+        async since(userId, since, limit) {
+            return database.all('SELECT * FROM review_log WHERE user_id = ? AND reviewed_at >= ? ORDER BY reviewed_at DESC LIMIT ?',
+                [userId, since.toISOString(), limit]);
+        },
+
+        async kanjiSince(userId, since) {
+            return database.all('SELECT kanji_id, word, facet, new_card FROM review_log WHERE user_id = ? AND reviewed_at >= ?',
+                [userId, since.toISOString()]);
+        },
+
+        async listAll(userId) {
+            return database.all('SELECT * FROM review_log WHERE user_id = ? ORDER BY reviewed_at', [userId]);
+        }
+    };
+}
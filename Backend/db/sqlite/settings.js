@@ -0,0 +1,14 @@
+import { columnList, upsertStatement, writeAll } from './query.js';
+
+// user_settings: one row per user; missing columns fall back to defaults
+export function settingsStore(database) {
+    return {
+        async get(userId, columns = '*') {
+            return database.get(`SELECT ${columnList(columns)} FROM user_settings WHERE user_id = ?`, [userId]);
+        },
+
+        async upsert(row) {
+            writeAll(database, [row], settings => upsertStatement('user_settings', settings, ['user_id']));
+        }
+    };
+}
@@ -0,0 +1,11 @@
+// The sql.js module shared by the SQLite store and the Anki import and export
+
+import initSqlJs from 'sql.js';
+
+let sqlPromise = null;
+
+// sql.js compiles its WebAssembly module once per process
+export function loadSqlJs() {
+    if (!sqlPromise) sqlPromise = initSqlJs();
+    return sqlPromise;
+}
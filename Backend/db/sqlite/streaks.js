@@ -0,0 +1,14 @@
+import { upsertStatement, writeAll } from './query.js';
+
+// user_streaks: one row per user
+export function streaksStore(database) {
+    return {
+        async get(userId) {
+            return database.get('SELECT daily_streak, last_review_date FROM user_streaks WHERE user_id = ?', [userId]);
+        },
+
+        async upsert(row) {
+            writeAll(database, [row], streak => upsertStatement('user_streaks', streak, ['user_id']));
+        }
+    };
+}
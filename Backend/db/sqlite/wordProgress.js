@@ -0,0 +1,36 @@
+import { upsertStatement, writeAll } from './query.js';
+
+const upsertWordProgress = row => upsertStatement('user_word_progress', row, ['user_id', 'kanji_id', 'word']);
+
+// user_word_progress: one row per user, kanji and word, keyed by (user_id, kanji_id, word)
+export function wordProgressStore(database) {
+    return {
+        async list(userId) {
+            return database.all('SELECT * FROM user_word_progress WHERE user_id = ?', [userId]);
+        },
+
+        async listAll(userId) {
+            return database.all('SELECT * FROM user_word_progress WHERE user_id = ? ORDER BY kanji_id, word', [userId]);
+        },
+
+        async listByKanji(userId, kanjiId) {
+            return database.all('SELECT * FROM user_word_progress WHERE user_id = ? AND kanji_id = ?', [userId, kanjiId]);
+        },
+
+        async get(userId, kanjiId, word) {
+            return database.get('SELECT * FROM user_word_progress WHERE user_id = ? AND kanji_id = ? AND word = ?', [userId, kanjiId, word]);
+        },
+
+        async upsert(rows) {
+            writeAll(database, rows, upsertWordProgress);
+        },
+
+        async save(row) {
+            return writeAll(database, [row], upsertWordProgress)[0];
+        },
+
+        async remove(userId, kanjiId, word) {
+            database.write('DELETE FROM user_word_progress WHERE user_id = ? AND kanji_id = ? AND word = ? RETURNING word', [userId, kanjiId, word]);
+        }
+    };
+}
@@ -0,0 +1,51 @@
+import { count, selectAllRows, unwrap } from './query.js';
+
+// user_custom_words: words a user has added to a kanji
+export function customWordsStore(supabase) {
+    return {
+        list(userId, kanjiId) {
+            return unwrap(supabase
+                .from('user_custom_words')
+                .select('*')
+                .eq('user_id', userId)
+                .eq('kanji_id', kanjiId)
+                .order('created_at', { ascending: true }));
+        },
+
+        listAll(userId) {
+            return selectAllRows(supabase, 'user_custom_words', '*', userId, 'created_at');
+        },
+
+        count(userId, kanjiId) {
+            return count(supabase
+                .from('user_custom_words')
+                .select('*', { count: 'exact', head: true })
+                .eq('user_id', userId)
+                .eq('kanji_id', kanjiId));
+        },
+
+        // Insert one word and return it as stored
+        add(row) {
+            return unwrap(supabase
+                .from('user_custom_words')
+                .insert(row)
+                .select()
+                .single());
+        },
+
+        insert(rows) {
+            return unwrap(supabase.from('user_custom_words').insert(rows));
+        },
+
+        // Returns the deleted rows' kanji ids (none if the word isn't the user's)
+        async remove(userId, wordId) {
+            const rows = await unwrap(supabase
+                .from('user_custom_words')
+                .delete()
+                .eq('id', wordId)
+                .eq('user_id', userId)
+                .select('kanji_id, word'));
+            return rows || [];
+        }
+    };
+}
@@ -0,0 +1,43 @@
+import { selectAllRows, singleOrNull, unwrap } from './query.js';
+
+// user_facet_progress: one row per user, kanji and facet ('reading' or 'meaning'),
+// keyed by (user_id, kanji_id, facet)
+export function facetProgressStore(supabase) {
+    return {
+        list(userId) {
+            return unwrap(supabase
+                .from('user_facet_progress')
+                .select('*')
+                .eq('user_id', userId));
+        },
+
+        listAll(userId) {
+            return selectAllRows(supabase, 'user_facet_progress', '*', userId, 'kanji_id');
+        },
+
+        get(userId, kanjiId, facet) {
+            return singleOrNull(supabase
+                .from('user_facet_progress')
+                .select('*')
+                .eq('user_id', userId)
+                .eq('kanji_id', kanjiId)
+                .eq('facet', facet)
+                .single());
+        },
+
+        upsert(rows) {
+            return unwrap(supabase
+                .from('user_facet_progress')
+                .upsert(rows, { onConflict: 'user_id,kanji_id,facet' }));
+        },
+
+        // Upsert one row and return it as stored
+        save(row) {
+            return unwrap(supabase
+                .from('user_facet_progress')
+                .upsert(row, { onConflict: 'user_id,kanji_id,facet' })
+                .select()
+                .single());
+        }
+    };
+}
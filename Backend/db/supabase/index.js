@@ -0,0 +1,22 @@
+import { profilesStore } from './profiles.js';
+import { progressStore } from './progress.js';
+import { streaksStore } from './streaks.js';
+import { settingsStore } from './settings.js';
+import { customWordsStore } from './customWords.js';
+import { reviewsStore } from './reviews.js';
+import { wordProgressStore } from './wordProgress.js';
+import { facetProgressStore } from './facetProgress.js';
+
+// The hosted database, through supabase-js (PostgREST) with the anon key
+export function createSupabaseDb(supabase) {
+    return {
+        profiles: profilesStore(supabase),
+        progress: progressStore(supabase),
+        streaks: streaksStore(supabase),
+        settings: settingsStore(supabase),
+        customWords: customWordsStore(supabase),
+        reviews: reviewsStore(supabase),
+        wordProgress: wordProgressStore(supabase),
+        facetProgress: facetProgressStore(supabase)
+    };
+}
@@ -0,0 +1,40 @@
+import { count, singleOrNull, unwrap } from './query.js';
+
+// profiles: one row per auth user, created by a trigger on signup
+export function profilesStore(supabase) {
+    return {
+        get(userId, columns = '*') {
+            return singleOrNull(supabase
+                .from('profiles')
+                .select(columns)
+                .eq('id', userId)
+                .single());
+        },
+
+        findByUsername(username) {
+            return singleOrNull(supabase
+                .from('profiles')
+                .select('id')
+                .eq('username', username)
+                .single());
+        },
+
+        update(userId, fields) {
+            return unwrap(supabase
+                .from('profiles')
+                .update(fields)
+                .eq('id', userId));
+        },
+
+        count() {
+            return count(supabase
+                .from('profiles')
+                .select('*', { count: 'exact', head: true }));
+        },
+
+        // Cheapest query that proves the database is reachable
+        async ping() {
+            await unwrap(supabase.from('profiles').select('id').limit(1));
+        }
+    };
+}
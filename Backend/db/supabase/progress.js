@@ -0,0 +1,55 @@
+import { count, selectAllRows, singleOrNull, unwrap } from './query.js';
+
+// user_kanji_progress: one row per user and kanji, keyed by (user_id, kanji_id)
+export function progressStore(supabase) {
+    return {
+        list(userId, columns = '*') {
+            return unwrap(supabase
+                .from('user_kanji_progress')
+                .select(columns)
+                .eq('user_id', userId));
+        },
+
+        listAll(userId) {
+            return selectAllRows(supabase, 'user_kanji_progress', '*', userId, 'kanji_id');
+        },
+
+        listByKanji(userId, kanjiIds) {
+            return unwrap(supabase
+                .from('user_kanji_progress')
+                .select('*')
+                .eq('user_id', userId)
+                .in('kanji_id', kanjiIds));
+        },
+
+        get(userId, kanjiId, columns = '*') {
+            return singleOrNull(supabase
+                .from('user_kanji_progress')
+                .select(columns)
+                .eq('user_id', userId)
+                .eq('kanji_id', kanjiId)
+                .single());
+        },
+
+        upsert(rows) {
+            return unwrap(supabase
+                .from('user_kanji_progress')
+                .upsert(rows, { onConflict: 'user_id,kanji_id' }));
+        },
+
+        // Upsert one row and return it as stored
+        save(row) {
+            return unwrap(supabase
+                .from('user_kanji_progress')
+                .upsert(row, { onConflict: 'user_id,kanji_id' })
+                .select()
+                .single());
+        },
+
+        count() {
+            return count(supabase
+                .from('user_kanji_progress')
+                .select('*', { count: 'exact', head: true }));
+        }
+    };
+}
@@ -0,0 +1,40 @@
+// Helpers for running supabase-js queries. Errors are thrown rather than
+// returned, so callers can let them reach the route's catch block.
+
+// PostgREST's "no rows" error from .single()
+const NO_ROWS = 'PGRST116';
+
+export async function unwrap(query) {
+    const { data, error } = await query;
+    if (error) throw error;
+    return data;
+}
+
+// A .single() query that may legitimately find nothing
+export async function singleOrNull(query) {
+    const { data, error } = await query;
+    if (error && error.code !== NO_ROWS) throw error;
+    return data || null;
+}
+
+export async function count(query) {
+    const { count: total, error } = await query;
+    if (error) throw error;
+    return total || 0;
+}
+
+// PostgREST returns at most 1000 rows per request, so page through a user's rows
+export async function selectAllRows(supabase, table, columns, userId, orderColumn) {
+    const rows = [];
+    for (let from = 0; ; from += 1000) {
+        const data = await unwrap(supabase
+            .from(table)
+            .select(columns)
+            .eq('user_id', userId)
+            .order(orderColumn, { ascending: true })
+            .range(from, from + 999));
+
+        rows.push(...data);
+        if (data.length < 1000) return rows;
+    }
+}
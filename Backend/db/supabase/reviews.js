@@ -0,0 +1,45 @@
+import { selectAllRows, unwrap } from './query.js';
+
+// review_log: one row per answer, append-only
+export function reviewsStore(supabase) {
+    return {
+        // Insert one entry and return it as stored
+        add(row) {
+            return unwrap(supabase
+                .from('review_log')
+                .insert(row)
+                .select()
+                .single());
+        },
+
+        insert(rows) {
+            return unwrap(supabase.from('review_log').insert(rows));
+        },
+
+        // Entries since a date, newest first
+        async since(userId, since, limit) {
+            const rows = await unwrap(supabase
+                .from('review_log')
+                .select('*')
+                .eq('user_id', userId)
+                .gte('reviewed_at', since.toISOString())
+                .order('reviewed_at', { ascending: false })
+                .limit(limit));
+            return rows || [];
+        },
+
+        // Which kanji, words and facets were answered since a date, and whether each answer was a first one
+        async kanjiSince(userId, since) {
+            const rows = await unwrap(supabase
+                .from('review_log')
+                .select('kanji_id, word, facet, new_card')
+                .eq('user_id', userId)
+                .gte('reviewed_at', since.toISOString()));
+            return rows || [];
+        },
+
+        listAll(userId) {
+            return selectAllRows(supabase, 'review_log', '*', userId, 'reviewed_at');
+        }
+    };
+}
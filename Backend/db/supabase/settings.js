@@ -0,0 +1,20 @@
+import { singleOrNull, unwrap } from './query.js';
+
+// user_settings: one row per user; missing columns fall back to defaults
+export function settingsStore(supabase) {
+    return {
+        get(userId, columns = '*') {
+            return singleOrNull(supabase
+                .from('user_settings')
+                .select(columns)
+                .eq('user_id', userId)
+                .single());
+        },
+
+        upsert(row) {
+            return unwrap(supabase
+                .from('user_settings')
+                .upsert(row, { onConflict: 'user_id' }));
+        }
+    };
+}
@@ -0,0 +1,20 @@
+import { singleOrNull, unwrap } from './query.js';
+
+// user_streaks: one row per user
+export function streaksStore(supabase) {
+    return {
+        get(userId) {
+            return singleOrNull(supabase
+                .from('user_streaks')
+                .select('daily_streak, last_review_date')
+                .eq('user_id', userId)
+                .single());
+        },
+
+        upsert(row) {
+            return unwrap(supabase
+                .from('user_streaks')
+                .upsert(row, { onConflict: 'user_id' }));
+        }
+    };
+}
@@ -0,0 +1,59 @@
+import { selectAllRows, singleOrNull, unwrap } from './query.js';
+
+// user_word_progress: one row per user, kanji and word, keyed by (user_id, kanji_id, word)
+export function wordProgressStore(supabase) {
+    return {
+        list(userId) {
+            return unwrap(supabase
+                .from('user_word_progress')
+                .select('*')
+                .eq('user_id', userId));
+        },
+
+        listAll(userId) {
+            return selectAllRows(supabase, 'user_word_progress', '*', userId, 'kanji_id');
+        },
+
+        listByKanji(userId, kanjiId) {
+            return unwrap(supabase
+                .from('user_word_progress')
+                .select('*')
+                .eq('user_id', userId)
+                .eq('kanji_id', kanjiId));
+        },
+
+        get(userId, kanjiId, word) {
+            return singleOrNull(supabase
+                .from('user_word_progress')
+                .select('*')
+                .eq('user_id', userId)
+                .eq('kanji_id', kanjiId)
+                .eq('word', word)
+                .single());
+        },
+
+        upsert(rows) {
+            return unwrap(supabase
+                .from('user_word_progress')
+                .upsert(rows, { onConflict: 'user_id,kanji_id,word' }));
+        },
+
+        // Upsert one row and return it as stored
+        save(row) {
+            return unwrap(supabase
+                .from('user_word_progress')
+                .upsert(row, { onConflict: 'user_id,kanji_id,word' })
+                .select()
+                .single());
+        },
+
+        remove(userId, kanjiId, word) {
+            return unwrap(supabase
+                .from('user_word_progress')
+                .delete()
+                .eq('user_id', userId)
+                .eq('kanji_id', kanjiId)
+                .eq('word', word));
+        }
+    };
+}
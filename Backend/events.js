@@ -0,0 +1,52 @@
+// Server-sent events for GET /api/events. Each signed-in tab holds one stream;
+// when a request changes a user's data the change is pushed to that user's
+// other streams. Clients tag requests with X-Session-Id so the tab that made a
+// change doesn't receive its own echo. Streams live in this process only, so
+// running more than one server instance would need a shared pub/sub instead.
+
+const HEARTBEAT_MS = 25 * 1000;
+
+// userId -> Set of { sessionId, res }
+const streamsByUser = new Map();
+
+export function openEventStream(req, res, userId, sessionId) {
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive',
+        // Stop proxies such as nginx from buffering the stream
+        'X-Accel-Buffering': 'no'
+    });
+    res.write('retry: 5000\n\n');
+
+    const stream = { sessionId, res };
+    if (!streamsByUser.has(userId)) streamsByUser.set(userId, new Set());
+    streamsByUser.get(userId).add(stream);
+
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        const streams = streamsByUser.get(userId);
+        streams?.delete(stream);
+        if (streams?.size === 0) streamsByUser.delete(userId);
+    });
+}
+
+// Push an event to every stream of the user except the session that caused it
+export function publish(userId, event, data, exceptSessionId = null) {
+    const streams = streamsByUser.get(userId);
+    if (!streams) return;
+
+    const message = `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+    for (const stream of streams) {
+        if (exceptSessionId && stream.sessionId === exceptSessionId) continue;
+        stream.res.write(message);
+    }
+}
+
+export function streamCount() {
+    let count = 0;
+    for (const streams of streamsByUser.values()) count += streams.size;
+    return count;
+}
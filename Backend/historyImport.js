@@ -0,0 +1,203 @@
+// Seed user_kanji_progress from another app's history, for POST /api/import/history.
+// Reads an Anki collection (.apkg/.colpkg zip or a bare collection.anki2) or a
+// WaniKani-style JSON export, matches items to our kanji by character, and turns
+// each one's SRS state into a progress row.
+
+import JSZip from 'jszip';
+import { loadSqlJs } from './db/sqlite/sqlJs.js';
+import { easeToDifficulty } from './scheduler.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// A kanji counts as learned once it is on a week-long interval (WaniKani's Guru)
+const LEARNED_INTERVAL = 7;
+
+// WaniKani SRS stages 1-9 (Apprentice I to Burned) as intervals in days
+const WANIKANI_STAGE_INTERVALS = [null, 1, 1, 1, 2, 7, 14, 30, 120, 180];
+
+const SQLITE_MAGIC = 'SQLite format 3\0';
+
+export class HistoryImportError extends Error {}
+
+function stripHtml(text) {
+    return String(text || '')
+        .replace(/<[^>]*>/g, '')
+        .replace(/&nbsp;/g, ' ')
+        .trim();
+}
+
+// Collections inside a package, newest first. collection.anki21b (Anki 2.1.50+)
+// is zstd-compressed and not supported; those exports also carry a placeholder
+// collection.anki2, so they are rejected unless an older format is present.
+async function readAnkiPackage(buffer) {
+    const zip = await JSZip.loadAsync(buffer);
+    const collection = zip.file('collection.anki21') ||
+        (!zip.file('collection.anki21b') && zip.file('collection.anki2'));
+    if (!collection) {
+        throw new HistoryImportError('This Anki export uses the newest format. Export again with "Support older Anki versions" checked.');
+    }
+    return collection.async('uint8array');
+}
+
+// One item per note whose fields include one of our kanji on its own: the card
+// with the most reviews decides the state
+export async function parseAnkiCollection(bytes) {
+    const SQL = await loadSqlJs();
+    let db;
+    try {
+        db = new SQL.Database(bytes);
+        const [{ values: [[crt]] }] = db.exec('SELECT crt FROM col');
+        const rows = db.exec(`
+            SELECT notes.id, notes.flds, cards.type, cards.queue, cards.due, cards.ivl, cards.factor, cards.reps
+            FROM notes JOIN cards ON cards.nid = notes.id
+            ORDER BY notes.id, cards.reps DESC`);
+
+        const items = [];
+        let lastNote = null;
+        for (const [noteId, flds, type, queue, due, ivl, factor, reps] of rows[0]?.values || []) {
+            if (noteId === lastNote) continue;
+            lastNote = noteId;
+
+            const fields = flds.split('\x1f').map(stripHtml);
+            const character = fields.find(field => [...field].length === 1) || fields[0];
+
+            // Only cards that have graduated to reviews carry a usable interval
+            const reviewed = type === 2 && queue !== -1 && ivl > 0;
+            items.push({
+                character,
+                known: reviewed,
+                interval: reviewed ? ivl : null,
+                ease: factor ? factor / 1000 : 2.5,
+                reviews: reps,
+                nextReview: reviewed ? new Date((crt + due * 86400) * 1000).toISOString() : null
+            });
+        }
+        return items;
+    } catch (error) {
+        if (error instanceof HistoryImportError) throw error;
+        throw new HistoryImportError(`Could not read the Anki collection: ${error.message}`);
+    } finally {
+        db?.close();
+    }
+}
+
+// Either a plain array or a WaniKani API-style { data: [...] } collection. Items
+// may nest their fields under "data", and need the kanji's characters plus an
+// srs_stage; radicals and vocabulary are ignored.
+export function parseWaniKaniExport(json) {
+    const list = Array.isArray(json) ? json : json?.data;
+    if (!Array.isArray(list)) {
+        throw new HistoryImportError('Expected a list of WaniKani items');
+    }
+
+    return list
+        .map(item => ({ ...item, ...item?.data }))
+        .filter(item => !item.subject_type || item.subject_type === 'kanji')
+        .map((item) => {
+            const stage = Number(item.srs_stage);
+            const interval = WANIKANI_STAGE_INTERVALS[stage] || null;
+            return {
+                character: String(item.characters ?? item.subject?.characters ?? ''),
+                known: Boolean(interval),
+                interval,
+                ease: 2.5,
+                // Reaching stage n takes at least n - 1 correct reviews
+                reviews: interval ? stage - 1 : 0,
+                nextReview: item.available_at || null
+            };
+        });
+}
+
+// Work out the format from the upload: a zip, a bare SQLite file or JSON
+export async function parseHistoryExport(body) {
+    if (Buffer.isBuffer(body)) {
+        if (body.subarray(0, 2).toString() === 'PK') {
+            return { source: 'anki', items: await parseAnkiCollection(await readAnkiPackage(body)) };
+        }
+        if (body.subarray(0, SQLITE_MAGIC.length).toString('binary') === SQLITE_MAGIC) {
+            return { source: 'anki', items: await parseAnkiCollection(body) };
+        }
+        try {
+            body = JSON.parse(body.toString('utf8'));
+        } catch {
+            throw new HistoryImportError('Unrecognised file. Upload an Anki .apkg/.colpkg/.anki2 or a WaniKani JSON export.');
+        }
+    }
+    return { source: 'wanikani', items: parseWaniKaniExport(body) };
+}
+
+// Match parsed items to kanji. Kanji the user has already reviewed here keep
+// their progress; the rest become rows to upsert.
+export function planHistoryImport(items, existingRows, dataset, userId, now = new Date()) {
+    const existingById = new Map(existingRows.map(row => [row.kanji_id, row]));
+    const matched = [];
+    const unmatched = [];
+    const alreadyStudied = [];
+    const notStarted = [];
+    const rows = new Map();
+
+    for (const item of items) {
+        const kanji = dataset.byCharacter.get(item.character);
+        if (!kanji) {
+            if (item.character) unmatched.push(item.character);
+            continue;
+        }
+        if (!item.known) {
+            notStarted.push(kanji.character);
+            continue;
+        }
+        if (existingById.get(kanji.id)?.total_reviews > 0) {
+            alreadyStudied.push(kanji.character);
+            continue;
+        }
+
+        const interval = Math.max(1, Math.round(item.interval));
+        const previous = rows.get(kanji.id);
+        if (previous && previous.srs_interval >= interval) continue;
+
+        const dueAt = item.nextReview && !isNaN(new Date(item.nextReview).getTime())
+            ? new Date(item.nextReview)
+            : new Date(now.getTime() + interval * DAY_MS);
+        const learned = interval >= LEARNED_INTERVAL;
+        const reviews = Math.max(1, item.reviews || 0);
+
+        rows.set(kanji.id, {
+            user_id: userId,
+            kanji_id: kanji.id,
+            in_review: true,
+            learned,
+            srs_interval: interval,
+            ease_factor: item.ease,
+            stability: interval,
+            difficulty: easeToDifficulty(item.ease),
+            consecutive_correct: learned ? 3 : 1,
+            total_reviews: reviews,
+            correct_reviews: reviews,
+            last_review: new Date(dueAt.getTime() - interval * DAY_MS).toISOString(),
+            next_review: dueAt.toISOString(),
+            field_updated_at: { ...existingById.get(kanji.id)?.field_updated_at, inReview: now.toISOString(), srs: now.toISOString() },
+            version: (existingById.get(kanji.id)?.version || 0) + 1,
+            updated_at: now.toISOString()
+        });
+    }
+
+    for (const row of rows.values()) {
+        matched.push({
+            character: dataset.byId.get(row.kanji_id).character,
+            interval: row.srs_interval,
+            ease: row.ease_factor,
+            learned: row.learned,
+            nextReview: row.next_review
+        });
+    }
+
+    return {
+        preview: {
+            matched,
+            unmatched: [...new Set(unmatched)],
+            alreadyStudied: [...new Set(alreadyStudied)],
+            notStarted: [...new Set(notStarted)]
+        },
+        rows: [...rows.values()]
+    };
+}
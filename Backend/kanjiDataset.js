@@ -0,0 +1,33 @@
+import { existsSync, readFileSync } from 'fs';
+import { createHash } from 'crypto';
+
+// The kanji dataset served by /api/kanji. Bump "version" in data/kanji.json
+// whenever the content changes; the ETag also changes with any edit to the
+// kanji or stroke files.
+const DATASET_PATH = new URL('./data/kanji.json', import.meta.url);
+const STROKES_PATH = new URL('./data/strokes.json', import.meta.url);
+
+export function loadKanjiDataset(path = DATASET_PATH, strokesPath = STROKES_PATH) {
+    const raw = readFileSync(path, 'utf8');
+    const { version, kanji } = JSON.parse(raw);
+    const hash = createHash('sha1').update(raw);
+
+    // Stroke data is optional; see scripts/build-strokes.js
+    let strokes = { viewBox: '0 0 109 109', strokes: {} };
+    if (existsSync(strokesPath)) {
+        const rawStrokes = readFileSync(strokesPath, 'utf8');
+        strokes = JSON.parse(rawStrokes);
+        hash.update(rawStrokes);
+    }
+
+    return {
+        version,
+        etag: `"kanji-v${version}-${hash.digest('hex').slice(0, 16)}"`,
+        kanji,
+        byId: new Map(kanji.map(entry => [entry.id, entry])),
+        byCharacter: new Map(kanji.map(entry => [entry.character, entry])),
+        strokeViewBox: strokes.viewBox,
+        strokeSource: strokes.source,
+        strokesByCharacter: new Map(Object.entries(strokes.strokes))
+    };
+}
@@ -0,0 +1,9 @@
+// Enhanced logging function (silent when NODE_ENV=test)
+export function log(level, message, data = null) {
+    if (process.env.NODE_ENV === 'test') return;
+    const timestamp = new Date().toISOString();
+    console.log(`[${timestamp}] ${level}: ${message}`);
+    if (data) {
+        console.log('Data:', JSON.stringify(data, null, 2));
+    }
+}
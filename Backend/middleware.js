@@ -0,0 +1,104 @@
+import { log } from './log.js';
+
+// Log each request, with passwords and the /api/events token redacted
+export function requestLogger(req, res, next) {
+    // /api/events takes the access token in the query string; keep it out of the logs
+    log('INFO', `${req.method} ${req.url.replace(/token=[^&]+/, 'token=[REDACTED]')}`);
+    
+    if (req.headers['content-type']) {
+        log('DEBUG', 'Content-Type:', req.headers['content-type']);
+    }
+    
+    if (req.body && Object.keys(req.body).length > 0) {
+        const sanitizedBody = { ...req.body };
+        if (sanitizedBody.password) {
+            sanitizedBody.password = '[REDACTED]';
+        }
+        log('DEBUG', 'Request body:', sanitizedBody);
+    }
+    
+    next();
+}
+
+// Authentication middleware: checks the bearer token with the auth provider and
+// sets req.user to the auth user merged with their profile
+export function createAuthenticateUser(auth, db) {
+    return async function authenticateUser(req, res, next) {
+        const authHeader = req.headers.authorization;
+        log('DEBUG', 'Auth header received:', authHeader ? 'Bearer token present' : 'No auth header');
+        
+        const token = authHeader?.replace('Bearer ', '');
+        
+        if (!token) {
+            log('WARN', 'No session token provided');
+            return res.status(401).json({ 
+                success: false, 
+                error: 'Access token required' 
+            });
+        }
+        
+        try {
+            const user = await auth.getUser(token);
+            
+            if (!user) {
+                log('WARN', 'Invalid or expired session token');
+                return res.status(401).json({ 
+                    success: false, 
+                    error: 'Invalid or expired session' 
+                });
+            }
+            
+            let profile;
+            try {
+                profile = await db.profiles.get(user.id);
+            } catch (profileError) {
+                log('ERROR', 'Failed to get user profile', profileError);
+            }
+                
+            if (!profile) {
+                return res.status(500).json({ 
+                    success: false, 
+                    error: 'Failed to get user profile' 
+                });
+            }
+            
+            req.user = {
+                id: user.id,
+                email: user.email,
+                ...profile
+            };
+            req.token = token;
+            
+            log('DEBUG', 'User authenticated successfully:', { userId: req.user.id, username: req.user.username });
+            next();
+            
+        } catch (error) {
+            log('ERROR', 'Authentication middleware error', error);
+            res.status(500).json({ 
+                success: false, 
+                error: 'Authentication failed' 
+            });
+        }
+    };
+}
+
+// Enhanced error handling middleware
+export function errorHandler(error, req, res, next) {
+    log('ERROR', 'Unhandled error caught by middleware', {
+        message: error.message,
+        stack: error.stack,
+        url: req.url,
+        method: req.method
+    });
+    
+    res.status(500).json({ 
+        error: 'Internal server error',
+        timestamp: new Date().toISOString()
+    });
+}
+
+// Handle 404s - No wildcards, this catches all unmatched routes
+export function notFound(req, res) {
+    log('WARN', '404 - Route not found', { url: req.originalUrl, method: req.method });
+    res.status(404).json({ error: 'Route not found' });
+}
@@ -0,0 +1,21 @@
+-- Append-only log of every answer given in a study session.
+-- user_kanji_progress only keeps the latest state per kanji, so history
+-- (charts, exports, leech detection) is read from here instead.
+create table if not exists review_log (
+    id bigserial primary key,
+    user_id uuid not null references auth.users (id) on delete cascade,
+    kanji_id integer not null,
+    word text,
+    question_mode text,
+    grade smallint not null check (grade between 1 and 4),
+    time_taken_ms integer check (time_taken_ms >= 0),
+    interval_before numeric,
+    interval_after numeric,
+    reviewed_at timestamptz not null default now()
+);
+
+create index if not exists review_log_user_reviewed_at_idx
+    on review_log (user_id, reviewed_at desc);
+
+create index if not exists review_log_user_kanji_idx
+    on review_log (user_id, kanji_id);
@@ -0,0 +1,17 @@
+-- Per-card state for the FSRS scheduler and the user's choice of algorithm.
+-- Existing SM-2 rows are backfilled from srs_interval/ease_factor so nobody's
+-- progress resets when they switch: stability starts at the current interval
+-- and difficulty is mapped from ease (2.5 -> 5, 1.3 -> 10).
+alter table user_kanji_progress
+    add column if not exists stability numeric,
+    add column if not exists difficulty numeric;
+
+update user_kanji_progress
+set stability = greatest(srs_interval, 1),
+    difficulty = least(10, greatest(1, 5 + (2.5 - coalesce(ease_factor, 2.5)) * (5 / 1.2)))
+where stability is null
+  and total_reviews > 0;
+
+alter table user_settings
+    add column if not exists scheduler text not null default 'sm2'
+        check (scheduler in ('sm2', 'fsrs'));
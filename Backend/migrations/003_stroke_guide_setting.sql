@@ -0,0 +1,3 @@
+-- Optional faint stroke-order guide on the study drawing canvas
+alter table user_settings
+    add column if not exists show_stroke_guide boolean not null default false;
@@ -0,0 +1,5 @@
+-- Per-field last-writer-wins timestamps for offline sync. Keys are the client
+-- field groups ("inReview", "mnemonic", "srs"), values ISO timestamps of the
+-- change that last wrote them; older replays of queued changes are ignored.
+alter table user_kanji_progress
+    add column if not exists field_updated_at jsonb not null default '{}'::jsonb;
@@ -0,0 +1,4 @@
+-- Optimistic concurrency for user_kanji_progress. Every write bumps version;
+-- /api/progress/bulk-update rejects changes based on an older version with 409.
+alter table user_kanji_progress
+    add column if not exists version integer not null default 0;
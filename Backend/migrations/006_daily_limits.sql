@@ -0,0 +1,10 @@
+-- Per-day study limits and queue ordering. The day's counts come from
+-- review_log, where new_card marks a kanji's first ever answer.
+alter table user_settings
+    add column if not exists new_per_day integer not null default 10 check (new_per_day >= 0),
+    add column if not exists reviews_per_day integer not null default 200 check (reviews_per_day >= 0),
+    add column if not exists queue_order text not null default 'due-date'
+        check (queue_order in ('due-date', 'level', 'overdue', 'interleaved'));
+
+alter table review_log
+    add column if not exists new_card boolean not null default false;
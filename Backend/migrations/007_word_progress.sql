@@ -0,0 +1,26 @@
+-- SRS state per word (a kanji's built-in variations and the user's custom words),
+-- for users who review by word. The kanji's user_kanji_progress row is rolled up
+-- from its words after every word answer.
+create table if not exists user_word_progress (
+    user_id uuid not null references auth.users (id) on delete cascade,
+    kanji_id integer not null,
+    word text not null,
+    learned boolean not null default false,
+    srs_interval numeric not null default 1,
+    ease_factor numeric not null default 2.5,
+    stability numeric,
+    difficulty numeric,
+    consecutive_correct integer not null default 0,
+    total_reviews integer not null default 0,
+    correct_reviews integer not null default 0,
+    last_review timestamptz,
+    next_review timestamptz,
+    field_updated_at jsonb not null default '{}'::jsonb,
+    created_at timestamptz not null default now(),
+    updated_at timestamptz,
+    primary key (user_id, kanji_id, word)
+);
+
+alter table user_settings
+    add column if not exists review_unit text not null default 'kanji'
+        check (review_unit in ('kanji', 'word'));
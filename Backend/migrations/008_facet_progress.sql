@@ -0,0 +1,26 @@
+-- SRS state for the reading and the meaning of each kanji, drilled on their own by
+-- the reading-only and meaning-only question modes. Kept apart from the kanji's
+-- user_kanji_progress row, so a kanji's reading can be due while its meaning is not.
+create table if not exists user_facet_progress (
+    user_id uuid not null references auth.users (id) on delete cascade,
+    kanji_id integer not null,
+    facet text not null check (facet in ('reading', 'meaning')),
+    learned boolean not null default false,
+    srs_interval numeric not null default 1,
+    ease_factor numeric not null default 2.5,
+    stability numeric,
+    difficulty numeric,
+    consecutive_correct integer not null default 0,
+    total_reviews integer not null default 0,
+    correct_reviews integer not null default 0,
+    last_review timestamptz,
+    next_review timestamptz,
+    field_updated_at jsonb not null default '{}'::jsonb,
+    created_at timestamptz not null default now(),
+    updated_at timestamptz,
+    primary key (user_id, kanji_id, facet)
+);
+
+-- Which facet an answer graded, if any; daily counts tell facet answers apart
+alter table review_log
+    add column if not exists facet text check (facet in ('reading', 'meaning'));
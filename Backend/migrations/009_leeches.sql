@@ -0,0 +1,13 @@
+-- Leech detection. lapses counts wrong answers to a kanji already reviewed; at the
+-- user's leech_threshold it is flagged a leech, and with leech_action 'suspend' it
+-- is also suspended. Suspended kanji stay in review but are left out of the queue
+-- until unsuspended, which is a client-writable field like in_review.
+alter table user_kanji_progress
+    add column if not exists lapses integer not null default 0,
+    add column if not exists leech boolean not null default false,
+    add column if not exists suspended boolean not null default false;
+
+alter table user_settings
+    add column if not exists leech_threshold integer not null default 8 check (leech_threshold >= 1),
+    add column if not exists leech_action text not null default 'tag'
+        check (leech_action in ('tag', 'suspend'));
@@ -0,0 +1,195 @@
+import express from 'express';
+import { log } from '../log.js';
+import { settingsFromRow, settingsRow } from '../db/index.js';
+import { buildArchive, archiveToCsv, validateArchive, planImport, CSV_SECTIONS } from '../archive.js';
+import { buildAnkiPackage } from '../ankiPackage.js';
+import { parseHistoryExport, planHistoryImport, HistoryImportError } from '../historyImport.js';
+import { publish } from '../events.js';
+
+// Everything stored for a user, as database rows plus client-shaped settings
+async function readAccountData(db, user) {
+    const [progress, wordProgress, facetProgress, customWords, reviews, streak, settings] = await Promise.all([
+        db.progress.listAll(user.id),
+        db.wordProgress.listAll(user.id),
+        db.facetProgress.listAll(user.id),
+        db.customWords.listAll(user.id),
+        db.reviews.listAll(user.id),
+        db.streaks.get(user.id),
+        db.settings.get(user.id)
+    ]);
+
+    return {
+        username: user.username,
+        settings: settingsFromRow(settings, user.username),
+        streak,
+        progress,
+        wordProgress,
+        facetProgress,
+        customWords,
+        reviews
+    };
+}
+
+// Moving data in and out of an account: archives, Anki packages and history
+// imported from other apps
+export function accountRoutes({ db, authenticateUser, kanjiDataset }) {
+    const router = express.Router();
+
+    // Export the account as a JSON archive (see archive.js), or one section of it as
+    // CSV with ?format=csv&section=progress|wordProgress|facetProgress|customWords|reviews
+    router.get('/export', authenticateUser, async (req, res) => {
+        try {
+            const format = req.query.format || 'json';
+            const section = req.query.section || 'progress';
+
+            if (!['json', 'csv'].includes(format)) {
+                return res.status(400).json({ error: 'Invalid format. Must be "json" or "csv"' });
+            }
+
+            if (format === 'csv' && !CSV_SECTIONS.includes(section)) {
+                return res.status(400).json({ error: `Invalid section. Must be one of: ${CSV_SECTIONS.join(', ')}` });
+            }
+
+            const archive = buildArchive(await readAccountData(db, req.user), kanjiDataset);
+            const fileName = `kanjiten-${new Date().toISOString().slice(0, 10)}`;
+
+            log('SUCCESS', `Exported account data for user ${req.user.id}`, {
+                format,
+                progress: archive.progress.length,
+                wordProgress: archive.wordProgress.length,
+                facetProgress: archive.facetProgress.length,
+                customWords: archive.customWords.length,
+                reviews: archive.reviews.length
+            });
+
+            if (format === 'csv') {
+                res.set('Content-Type', 'text/csv; charset=utf-8');
+                res.set('Content-Disposition', `attachment; filename="${fileName}-${section}.csv"`);
+                return res.send(archiveToCsv(archive, section));
+            }
+
+            res.set('Content-Disposition', `attachment; filename="${fileName}.json"`);
+            res.json(archive);
+        } catch (error) {
+            log('ERROR', 'Export error', error);
+            res.status(500).json({ error: 'Failed to export data' });
+        }
+    });
+
+    // Anki package of the chosen kanji (?levels=10,9 and/or ?ids=1,2,3) with the
+    // user's mnemonics, custom words and scheduling. Variations are filtered by
+    // ?jlpt= or else the user's JLPT setting.
+    router.get('/export/anki', authenticateUser, async (req, res) => {
+        try {
+            const parseList = value => String(value || '').split(',').map(item => parseInt(item)).filter(Number.isInteger);
+            const levels = new Set(parseList(req.query.levels));
+            const ids = new Set(parseList(req.query.ids));
+
+            if (levels.size === 0 && ids.size === 0) {
+                return res.status(400).json({ error: 'Choose kanji with levels or ids' });
+            }
+
+            const kanji = kanjiDataset.kanji.filter(entry => levels.has(entry.level) || ids.has(entry.id));
+            if (kanji.length === 0) {
+                return res.status(404).json({ error: 'No kanji match that selection' });
+            }
+
+            const account = await readAccountData(db, req.user);
+            const jlptLevel = req.query.jlpt || account.settings.jlptLevel;
+
+            const customWordsByKanji = new Map();
+            for (const word of account.customWords) {
+                if (!customWordsByKanji.has(word.kanji_id)) customWordsByKanji.set(word.kanji_id, []);
+                customWordsByKanji.get(word.kanji_id).push(word);
+            }
+
+            const levelNames = [...new Set(kanji.map(entry => entry.level))].sort((a, b) => b - a);
+            const apkg = await buildAnkiPackage({
+                kanji,
+                progressById: new Map(account.progress.map(row => [row.kanji_id, row])),
+                customWordsByKanji,
+                jlptLevel,
+                deckName: `Kanjiten::Level ${levelNames.join(', ')}`
+            });
+
+            log('SUCCESS', `Exported ${kanji.length} kanji to Anki for user ${req.user.id}`);
+            res.set('Content-Type', 'application/octet-stream');
+            res.set('Content-Disposition', `attachment; filename="kanjiten-level-${levelNames.join('-')}.apkg"`);
+            res.send(apkg);
+        } catch (error) {
+            log('ERROR', 'Anki export error', error);
+            res.status(500).json({ error: 'Failed to build Anki package' });
+        }
+    });
+
+    // Merge an exported archive into the account. With ?dryRun=true nothing is
+    // written and the response only previews the changes.
+    router.post('/import', authenticateUser, async (req, res) => {
+        try {
+            const dryRun = ['true', '1'].includes(String(req.query.dryRun));
+            const archive = req.body;
+
+            const errors = validateArchive(archive, kanjiDataset);
+            if (errors.length > 0) {
+                return res.status(400).json({ error: 'Invalid archive', details: errors.slice(0, 20) });
+            }
+
+            const current = await readAccountData(db, req.user);
+            const { summary, writes } = planImport(archive, current, kanjiDataset, req.user.id);
+
+            if (dryRun) {
+                return res.json({ success: true, dryRun: true, changes: summary });
+            }
+
+            if (writes.progress.length > 0) await db.progress.upsert(writes.progress);
+            if (writes.wordProgress.length > 0) await db.wordProgress.upsert(writes.wordProgress);
+            if (writes.facetProgress.length > 0) await db.facetProgress.upsert(writes.facetProgress);
+            if (writes.customWords.length > 0) await db.customWords.insert(writes.customWords);
+            if (writes.reviews.length > 0) await db.reviews.insert(writes.reviews);
+            if (writes.streak) await db.streaks.upsert(writes.streak);
+            if (writes.settings) await db.settings.upsert(settingsRow(req.user.id, writes.settings));
+
+            publish(req.user.id, 'reload', { reason: 'import' }, req.headers['x-session-id']);
+            log('SUCCESS', `Imported archive for user ${req.user.id}`, summary);
+            res.json({ success: true, dryRun: false, changes: summary });
+        } catch (error) {
+            log('ERROR', 'Import error', error);
+            res.status(500).json({ error: 'Failed to import data' });
+        }
+    });
+
+    // Seed progress from an Anki or WaniKani export. The file is the request body:
+    // Anki packages as application/octet-stream, WaniKani exports as JSON. With
+    // ?dryRun=true nothing is written and the response previews the matches.
+    router.post('/import/history', authenticateUser, express.raw({ type: 'application/octet-stream', limit: '50mb' }), async (req, res) => {
+        try {
+            const dryRun = ['true', '1'].includes(String(req.query.dryRun));
+
+            let parsed;
+            try {
+                parsed = await parseHistoryExport(req.body);
+            } catch (error) {
+                if (error instanceof HistoryImportError) {
+                    return res.status(400).json({ error: error.message });
+                }
+                throw error;
+            }
+
+            const existingRows = await db.progress.list(req.user.id, 'kanji_id, total_reviews, field_updated_at, version');
+            const { preview, rows } = planHistoryImport(parsed.items, existingRows || [], kanjiDataset, req.user.id);
+
+            if (!dryRun && rows.length > 0) {
+                await db.progress.upsert(rows);
+                publish(req.user.id, 'progress', { rows }, req.headers['x-session-id']);
+                log('SUCCESS', `Imported ${rows.length} kanji from ${parsed.source} for user ${req.user.id}`);
+            }
+
+            res.json({ success: true, dryRun, source: parsed.source, ...preview });
+        } catch (error) {
+            log('ERROR', 'History import error', error);
+            res.status(500).json({ error: 'Failed to import history' });
+        }
+    });
+
+    return router;
+}
@@ -0,0 +1,566 @@
+import express from 'express';
+import rateLimit from 'express-rate-limit';
+import { log } from '../log.js';
+import { settingsRow } from '../db/index.js';
+import { FACETS } from '../scheduler.js';
+import { AuthError } from '../auth/index.js';
+
+// Shared by register and upgrade; returns an error message or null
+function validateCredentials(username, password, email) {
+    if (!username || !password || !email) {
+        return 'All fields are required';
+    }
+
+    if (username.length < 3 || username.length > 50) {
+        return 'Username must be 3-50 characters';
+    }
+
+    const passwordRegex = /^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)(?=.*[!@#$%^&*(),.?":{}|<>]).{8,30}$/;
+    if (!passwordRegex.test(password)) {
+        return 'Password must be 8-30 characters with uppercase, lowercase, digit, and symbol';
+    }
+
+    return null;
+}
+
+// Write a guest's kanjiMasterSave (progress, mnemonics, word and facet progress,
+// review history and settings) to an account. Where the account already has
+// progress for a kanji, the side with more reviews wins, words and facets
+// included; a local mnemonic fills in a missing one.
+async function importLocalSave(db, kanjiDataset, userId, localSave) {
+    const imported = { kanji: 0, reviews: 0, settings: false };
+    if (!localSave || typeof localSave !== 'object') return imported;
+    const now = new Date().toISOString();
+
+    if (Array.isArray(localSave.kanjiData)) {
+        const existingRows = await db.progress.list(userId, 'kanji_id, total_reviews, mnemonic, version');
+
+        const existingById = new Map((existingRows || []).map(row => [row.kanji_id, row]));
+        const progressRecords = [];
+        const mnemonicRecords = [];
+
+        for (const [kanjiId, progress] of localSave.kanjiData) {
+            const id = parseInt(kanjiId);
+            if (!kanjiDataset.byId.has(id) || !progress) continue;
+            if (!progress.inReview && !progress.learned && !progress.totalReviews && !progress.mnemonic) continue;
+
+            const existing = existingById.get(id);
+            if (existing && (existing.total_reviews || 0) >= (progress.totalReviews || 0)) {
+                if (progress.mnemonic && !existing.mnemonic) {
+                    mnemonicRecords.push({ user_id: userId, kanji_id: id, mnemonic: progress.mnemonic, version: (existing.version || 0) + 1, updated_at: now });
+                }
+                continue;
+            }
+
+            progressRecords.push({
+                user_id: userId,
+                kanji_id: id,
+                learned: Boolean(progress.learned),
+                in_review: Boolean(progress.inReview),
+                srs_interval: progress.interval || 1,
+                ease_factor: progress.ease || 2.5,
+                stability: progress.stability ?? null,
+                difficulty: progress.difficulty ?? null,
+                consecutive_correct: progress.consecutiveCorrect || 0,
+                total_reviews: progress.totalReviews || 0,
+                correct_reviews: progress.correctReviews || 0,
+                last_review: progress.lastReview || null,
+                next_review: progress.nextReview || null,
+                lapses: progress.lapses || 0,
+                leech: Boolean(progress.leech),
+                suspended: Boolean(progress.suspended),
+                mnemonic: progress.mnemonic || existing?.mnemonic || null,
+                version: (existing?.version || 0) + 1,
+                updated_at: now
+            });
+        }
+
+        for (const records of [progressRecords, mnemonicRecords]) {
+            if (records.length > 0) await db.progress.upsert(records);
+        }
+        imported.kanji = progressRecords.length + mnemonicRecords.length;
+
+        // Word progress comes along with the kanji whose local progress won
+        const importedKanji = new Set(progressRecords.map(record => record.kanji_id));
+        const wordRecords = (Array.isArray(localSave.wordProgress) ? localSave.wordProgress : [])
+            .filter(progress => importedKanji.has(progress?.kanjiId) && typeof progress.word === 'string' && progress.totalReviews > 0)
+            .map(progress => ({
+                user_id: userId,
+                kanji_id: progress.kanjiId,
+                word: progress.word,
+                learned: Boolean(progress.learned),
+                srs_interval: progress.interval || 1,
+                ease_factor: progress.ease || 2.5,
+                stability: progress.stability ?? null,
+                difficulty: progress.difficulty ?? null,
+                consecutive_correct: progress.consecutiveCorrect || 0,
+                total_reviews: progress.totalReviews,
+                correct_reviews: progress.correctReviews || 0,
+                last_review: progress.lastReview || null,
+                next_review: progress.nextReview || null,
+                updated_at: now
+            }));
+        if (wordRecords.length > 0) await db.wordProgress.upsert(wordRecords);
+
+        const facetRecords = (Array.isArray(localSave.facetProgress) ? localSave.facetProgress : [])
+            .filter(progress => importedKanji.has(progress?.kanjiId) && FACETS.includes(progress.facet) && progress.totalReviews > 0)
+            .map(progress => ({
+                user_id: userId,
+                kanji_id: progress.kanjiId,
+                facet: progress.facet,
+                learned: Boolean(progress.learned),
+                srs_interval: progress.interval || 1,
+                ease_factor: progress.ease || 2.5,
+                stability: progress.stability ?? null,
+                difficulty: progress.difficulty ?? null,
+                consecutive_correct: progress.consecutiveCorrect || 0,
+                total_reviews: progress.totalReviews,
+                correct_reviews: progress.correctReviews || 0,
+                last_review: progress.lastReview || null,
+                next_review: progress.nextReview || null,
+                updated_at: now
+            }));
+        if (facetRecords.length > 0) await db.facetProgress.upsert(facetRecords);
+    }
+
+    if (Array.isArray(localSave.reviewLog)) {
+        const reviewRecords = localSave.reviewLog
+            .filter(review => kanjiDataset.byId.has(review.kanjiId) && Number.isInteger(review.grade) && review.grade >= 1 && review.grade <= 4)
+            .map(review => ({
+                user_id: userId,
+                kanji_id: review.kanjiId,
+                word: review.word || null,
+                question_mode: review.questionMode || null,
+                facet: FACETS.includes(review.facet) ? review.facet : null,
+                grade: review.grade,
+                time_taken_ms: Number.isFinite(review.timeTakenMs) && review.timeTakenMs >= 0 ? Math.round(review.timeTakenMs) : null,
+                interval_before: review.intervalBefore ?? null,
+                interval_after: review.intervalAfter ?? null,
+                new_card: review.newCard === true,
+                reviewed_at: review.reviewedAt || now
+            }));
+
+        if (reviewRecords.length > 0) await db.reviews.insert(reviewRecords);
+        imported.reviews = reviewRecords.length;
+    }
+
+    if (localSave.settings && typeof localSave.settings === 'object') {
+        await db.settings.upsert(settingsRow(userId, localSave.settings));
+        imported.settings = true;
+    }
+
+    return imported;
+}
+
+// Sign-up, sign-in and guest accounts, through the configured auth provider
+export function authRoutes({ auth, db, authenticateUser, kanjiDataset }) {
+    const router = express.Router();
+
+    // Stricter rate limiting for auth endpoints
+    const authLimiter = rateLimit({
+        windowMs: 15 * 60 * 1000,
+        max: 10
+    });
+
+    router.get('/auth/verify', authenticateUser, async (req, res) => {
+      try {
+        // If we get here, the token is valid (authenticateUser middleware passed)
+        const user = req.user;
+        
+        res.json({
+          success: true,
+          valid: true,
+          user: {
+            id: user.id,
+            username: user.username,
+            email: user.email,
+            isAnonymous: user.username?.startsWith('guest_') || false
+          }
+        });
+        
+      } catch (error) {
+        console.error('Token verification error:', error);
+        res.status(500).json({ 
+          success: false, 
+          error: 'Token verification failed' 
+        });
+      }
+    });
+
+    // Register endpoint
+    router.post('/auth/register', authLimiter, async (req, res) => {
+        log('INFO', 'Registration attempt started');
+        
+        try {
+            const { username, password, email } = req.body;
+            
+            const validationError = validateCredentials(username, password, email);
+            if (validationError) {
+                return res.status(400).json({ error: validationError });
+            }
+            
+            // Check if username exists
+            if (await db.profiles.findByUsername(username)) {
+                return res.status(400).json({ error: 'Username already exists' });
+            }
+
+            log('INFO', 'Username available, creating user account');
+            
+            let authData;
+            try {
+                authData = await auth.signUp({ email, password, username });
+            } catch (signUpError) {
+                if (!(signUpError instanceof AuthError)) throw signUpError;
+                log('ERROR', 'Signup error', signUpError);
+                return res.status(400).json({ error: signUpError.message });
+            }
+
+            if (!authData.user) {
+                log('ERROR', 'No user returned from signup');
+                return res.status(500).json({ error: 'User creation failed' });
+            }
+
+            // Check if email confirmation is required
+            if (!authData.session) {
+                log('INFO', 'Email confirmation required', { userId: authData.user.id, username });
+                return res.json({
+                    success: true,
+                    needsConfirmation: true,
+                    message: 'Please check your email and click the confirmation link to activate your account.',
+                    user: {
+                        id: authData.user.id,
+                        username,
+                        email,
+                        isAnonymous: false
+                    }
+                });
+            }
+
+            // If no email confirmation needed, proceed normally
+            log('SUCCESS', 'User created successfully with immediate session', { userId: authData.user.id, username });
+
+            res.json({
+                success: true,
+                user: {
+                    id: authData.user.id,
+                    username,
+                    email,
+                    isAnonymous: false
+                },
+                session: authData.session
+            });
+            
+        } catch (error) {
+            log('ERROR', 'Registration error', error);
+            res.status(500).json({ error: 'Registration failed. Please try again.' });
+        }
+    });
+
+    // Check whether a registered account's email has been confirmed yet
+    router.post('/auth/check-confirmation', async (req, res) => {
+        try {
+            const { email, password } = req.body;
+            
+            if (!email || !password) {
+                return res.status(400).json({ error: 'Email and password required' });
+            }
+
+            // Try to sign in - this will only work if email is confirmed
+            let authData;
+            try {
+                authData = await auth.signIn(email, password);
+            } catch (signInError) {
+                if (!(signInError instanceof AuthError)) throw signInError;
+                if (signInError.code === 'email_not_confirmed') {
+                    return res.json({
+                        success: false,
+                        needsConfirmation: true,
+                        message: 'Email not yet confirmed. Please check your email.'
+                    });
+                }
+                log('WARN', 'Confirmation check failed', signInError);
+                return res.status(401).json({ error: 'Invalid credentials or email not confirmed' });
+            }
+
+            if (!authData.user || !authData.session) {
+                return res.status(500).json({ error: 'Confirmation check failed' });
+            }
+
+            const profile = await db.profiles.get(authData.user.id);
+            if (!profile) {
+                log('ERROR', 'Failed to get user profile', { userId: authData.user.id });
+                return res.status(500).json({ error: 'Failed to get user profile' });
+            }
+
+            // A missed last_login stamp shouldn't fail the sign-in
+            await db.profiles.update(authData.user.id, { last_login: new Date().toISOString() })
+                .catch(error => log('WARN', 'Failed to update last login', error));
+
+            log('SUCCESS', 'Email confirmed and user signed in', { userId: authData.user.id, username: profile.username });
+            
+            res.json({
+                success: true,
+                confirmed: true,
+                user: {
+                    id: authData.user.id,
+                    username: profile.username,
+                    email: authData.user.email,
+                    isAnonymous: profile.is_anonymous
+                },
+                session: authData.session
+            });
+            
+        } catch (error) {
+            log('ERROR', 'Confirmation check error', error);
+            res.status(500).json({ error: 'Failed to check confirmation status' });
+        }
+    });
+
+    // Resend the signup confirmation email
+    router.post('/auth/resend-confirmation', async (req, res) => {
+        try {
+            const { email } = req.body;
+            
+            if (!email) {
+                return res.status(400).json({ error: 'Email is required' });
+            }
+
+            try {
+                await auth.resendConfirmation(email);
+            } catch (error) {
+                if (!(error instanceof AuthError)) throw error;
+                log('ERROR', 'Failed to resend confirmation', error);
+                return res.status(400).json({ error: error.message });
+            }
+
+            log('INFO', 'Confirmation email resent', { email });
+            res.json({
+                success: true,
+                message: 'Confirmation email has been resent. Please check your inbox.'
+            });
+            
+        } catch (error) {
+            log('ERROR', 'Resend confirmation error', error);
+            res.status(500).json({ error: 'Failed to resend confirmation email' });
+        }
+    });
+
+    // Login endpoint
+    router.post('/auth/login', authLimiter, async (req, res) => {
+        log('INFO', 'Login attempt started');
+        
+        try {
+            const { email, password } = req.body;
+
+            if (!email || !password) {
+                log('WARN', 'Login failed: Missing credentials');
+                return res.status(400).json({ error: 'Email and password required' });
+            }
+
+            let authData;
+            try {
+                authData = await auth.signIn(email, password);
+            } catch (signInError) {
+                if (!(signInError instanceof AuthError)) throw signInError;
+                log('WARN', 'Login failed', signInError);
+                return res.status(401).json({ error: 'Invalid credentials' });
+            }
+
+            if (!authData.user) {
+                log('ERROR', 'No user returned from signin');
+                return res.status(500).json({ error: 'Login failed' });
+            }
+
+            const profile = await db.profiles.get(authData.user.id);
+            if (!profile) {
+                log('ERROR', 'Failed to get user profile', { userId: authData.user.id });
+                return res.status(500).json({ error: 'Failed to get user profile' });
+            }
+
+            // A missed last_login stamp shouldn't fail the sign-in
+            await db.profiles.update(authData.user.id, { last_login: new Date().toISOString() })
+                .catch(error => log('WARN', 'Failed to update last login', error));
+
+            log('SUCCESS', 'Login successful', { userId: authData.user.id, username: profile.username });
+            
+            res.json({
+                success: true,
+                user: {
+                    id: authData.user.id,
+                    username: profile.username,
+                    email: authData.user.email,
+                    isAnonymous: profile.is_anonymous
+                },
+                session: authData.session
+            });
+            
+        } catch (error) {
+            log('ERROR', 'Login error', error);
+            res.status(500).json({ error: 'Login failed. Please try again.' });
+        }
+    });
+
+    // Anonymous login (create temporary account)
+    router.post('/auth/anonymous', async (req, res) => {
+        log('INFO', 'Anonymous login attempt');
+        
+        try {
+            const guestUsername = `guest_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+            const tempEmail = `${guestUsername}@temp.local`;
+            const tempPassword = Math.random().toString(36) + Math.random().toString(36); // More secure temp password
+            
+            // Create anonymous user
+            const authData = await auth.signUp({
+                email: tempEmail,
+                password: tempPassword,
+                username: guestUsername,
+                isAnonymous: true
+            });
+
+            // Update profile to mark as anonymous
+            if (authData.user) {
+                await db.profiles.update(authData.user.id, { is_anonymous: true })
+                    .catch(error => log('WARN', 'Failed to mark profile as anonymous', error));
+            }
+
+            log('SUCCESS', 'Anonymous login successful', { userId: authData.user?.id, guestUsername });
+
+            res.json({
+                success: true,
+                user: {
+                    id: authData.user?.id,
+                    username: guestUsername,
+                    isAnonymous: true
+                },
+                session: authData.session
+            });
+        } catch (error) {
+            log('ERROR', 'Anonymous login error', error);
+            res.status(500).json({ error: 'Anonymous login failed' });
+        }
+    });
+
+    // Turn a guest into a registered account without losing progress. Called with a
+    // guest's token, the anonymous user gets the email and password; without one
+    // (an offline guest) a new account is created. Either way the local save is imported.
+    router.post('/auth/upgrade', authLimiter, async (req, res) => {
+        log('INFO', 'Guest upgrade attempt started');
+
+        try {
+            const { username, password, email, localSave } = req.body;
+
+            const validationError = validateCredentials(username, password, email);
+            if (validationError) {
+                return res.status(400).json({ error: validationError });
+            }
+
+            let guestId = null;
+            const token = req.headers.authorization?.split(' ')[1];
+            if (token) {
+                const user = await auth.getUser(token);
+                if (!user) {
+                    return res.status(401).json({ error: 'Invalid or expired session' });
+                }
+
+                const profile = await db.profiles.get(user.id, 'is_anonymous');
+                if (!profile) {
+                    log('ERROR', 'Failed to get user profile', { userId: user.id });
+                    return res.status(500).json({ error: 'Failed to get user profile' });
+                }
+
+                if (!profile.is_anonymous) {
+                    return res.status(400).json({ error: 'Only guest accounts can be upgraded' });
+                }
+                guestId = user.id;
+            }
+
+            const existingProfile = await db.profiles.findByUsername(username);
+            if (existingProfile && existingProfile.id !== guestId) {
+                return res.status(400).json({ error: 'Username already exists' });
+            }
+
+            let userId = guestId;
+            if (guestId) {
+                try {
+                    await auth.setCredentials(guestId, { email, password, username });
+                } catch (updateError) {
+                    if (!(updateError instanceof AuthError)) throw updateError;
+                    log('ERROR', 'Failed to attach credentials to guest', updateError);
+                    return res.status(400).json({ error: updateError.message });
+                }
+            } else {
+                let authData;
+                try {
+                    authData = await auth.signUp({ email, password, username });
+                } catch (signUpError) {
+                    if (!(signUpError instanceof AuthError)) throw signUpError;
+                    log('ERROR', 'Signup error', signUpError);
+                    return res.status(400).json({ error: signUpError.message });
+                }
+
+                if (!authData.user) {
+                    log('ERROR', 'No user returned from signup');
+                    return res.status(500).json({ error: 'User creation failed' });
+                }
+                userId = authData.user.id;
+            }
+
+            try {
+                await db.profiles.update(userId, { username, is_anonymous: false });
+            } catch (profileUpdateError) {
+                log('ERROR', 'Failed to update upgraded profile', profileUpdateError);
+                return res.status(500).json({ error: 'Failed to update profile' });
+            }
+
+            const imported = await importLocalSave(db, kanjiDataset, userId, localSave);
+            const user = { id: userId, username, email, isAnonymous: false };
+
+            // Sign in with the new credentials for a fresh session
+            let signInData;
+            try {
+                signInData = await auth.signIn(email, password);
+            } catch (signInError) {
+                if (!(signInError instanceof AuthError)) throw signInError;
+                if (signInError.code === 'email_not_confirmed') {
+                    log('INFO', 'Guest upgraded, email confirmation required', { userId, imported });
+                    return res.json({
+                        success: true,
+                        needsConfirmation: true,
+                        message: 'Please check your email and click the confirmation link to activate your account.',
+                        user,
+                        imported
+                    });
+                }
+                log('ERROR', 'Sign in after upgrade failed', signInError);
+                return res.status(500).json({ error: 'Account upgraded, but sign in failed. Please log in.' });
+            }
+
+            log('SUCCESS', 'Guest upgraded', { userId, upgradedInPlace: Boolean(guestId), imported });
+            res.json({
+                success: true,
+                user,
+                session: signInData.session,
+                imported
+            });
+
+        } catch (error) {
+            log('ERROR', 'Guest upgrade error', error);
+            res.status(500).json({ error: 'Upgrade failed. Please try again.' });
+        }
+    });
+
+    // Logout endpoint
+    router.post('/auth/logout', authenticateUser, async (req, res) => {
+        try {
+            await auth.signOut(req.token);
+
+            log('INFO', 'User logged out successfully');
+            res.json({ success: true });
+        } catch (error) {
+            log('ERROR', 'Logout error', error);
+            res.status(500).json({ error: 'Logout failed' });
+        }
+    });
+
+    return router;
+}
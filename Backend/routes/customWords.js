@@ -0,0 +1,90 @@
+import express from 'express';
+import { log } from '../log.js';
+import { publish } from '../events.js';
+
+const MAX_CUSTOM_WORDS_PER_KANJI = 3;
+
+// Words users add to a kanji alongside the dataset's variations
+export function customWordsRoutes({ db, authenticateUser, kanjiDataset }) {
+    const router = express.Router();
+
+    // Get all of the user's custom words
+    router.get('/custom-words', authenticateUser, async (req, res) => {
+        try {
+            const words = await db.customWords.listAll(req.user.id);
+            res.json({ success: true, words: words || [] });
+        } catch (error) {
+            log('ERROR', 'Custom words list error', error);
+            res.status(500).json({ error: 'Failed to get custom words' });
+        }
+    });
+
+    // Get custom words for a kanji
+    router.get('/custom-words/:kanjiId', authenticateUser, async (req, res) => {
+        try {
+            const words = await db.customWords.list(req.user.id, parseInt(req.params.kanjiId));
+            res.json({ success: true, words: words || [] });
+        } catch (error) {
+            log('ERROR', 'Custom words get error', error);
+            res.status(500).json({ error: 'Failed to get custom words' });
+        }
+    });
+
+    // Add custom word
+    router.post('/custom-words', authenticateUser, async (req, res) => {
+        try {
+            const { kanjiId, word, reading, meaning, wordType, jlptLevel } = req.body;
+            
+            let count;
+            try {
+                count = await db.customWords.count(req.user.id, kanjiId);
+            } catch (countError) {
+                log('ERROR', 'Failed to count custom words', countError);
+                return res.status(500).json({ error: 'Failed to check word count' });
+            }
+
+            if (count >= MAX_CUSTOM_WORDS_PER_KANJI) {
+                return res.status(400).json({ error: `Maximum ${MAX_CUSTOM_WORDS_PER_KANJI} custom words per kanji` });
+            }
+
+            const data = await db.customWords.add({
+                user_id: req.user.id,
+                kanji_id: parseInt(kanjiId),
+                word,
+                reading,
+                meaning,
+                word_type: wordType,
+                jlpt_level: jlptLevel
+            });
+
+            publish(req.user.id, 'custom-words', { kanjiId: data.kanji_id }, req.headers['x-session-id']);
+            res.json({ success: true, word: data });
+        } catch (error) {
+            log('ERROR', 'Custom word add error', error);
+            res.status(500).json({ error: 'Failed to add custom word' });
+        }
+    });
+
+    // Delete custom word
+    router.delete('/custom-words/:wordId', authenticateUser, async (req, res) => {
+        try {
+            const deleted = await db.customWords.remove(req.user.id, req.params.wordId);
+            // The word's progress goes with it, unless the kanji has a built-in word
+            // spelled the same
+            for (const row of deleted) {
+                const builtIn = kanjiDataset.byId.get(row.kanji_id)?.variations?.some(variation => variation.word === row.word);
+                if (!builtIn) await db.wordProgress.remove(req.user.id, row.kanji_id, row.word);
+            }
+
+            for (const kanjiId of new Set(deleted.map(row => row.kanji_id))) {
+                publish(req.user.id, 'custom-words', { kanjiId }, req.headers['x-session-id']);
+            }
+            res.json({ success: true });
+        } catch (error) {
+            log('ERROR', 'Custom word delete error', error);
+            res.status(500).json({ error: 'Failed to delete custom word' });
+        }
+    });
+
+    return router;
+}
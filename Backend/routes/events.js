@@ -0,0 +1,20 @@
+import express from 'express';
+import { log } from '../log.js';
+import { openEventStream } from '../events.js';
+
+// Live updates pushed to a user's open tabs
+export function eventsRoutes({ authenticateUser }) {
+    const router = express.Router();
+
+    // Server-sent events with changes made by the user's other sessions (see events.js).
+    // EventSource can't send headers, so the token and session id come in the query.
+    router.get('/events', (req, res, next) => {
+        if (req.query.token) req.headers.authorization = `Bearer ${req.query.token}`;
+        next();
+    }, authenticateUser, (req, res) => {
+        openEventStream(req, res, req.user.id, req.query.session || null);
+        log('INFO', `Event stream opened for user ${req.user.id}`);
+    });
+
+    return router;
+}
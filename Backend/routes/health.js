@@ -0,0 +1,53 @@
+import express from 'express';
+import { log } from '../log.js';
+import { streamCount } from '../events.js';
+
+// Liveness and database checks for monitoring
+export function healthRoutes({ db }) {
+    const router = express.Router();
+
+    // Test database connection
+    router.get('/test-db', async (req, res) => {
+        try {
+            const [userCount, progressCount] = await Promise.all([
+                db.profiles.count(),
+                db.progress.count()
+            ]);
+            
+            res.json({
+                success: true,
+                database: 'connected',
+                userCount,
+                progressCount,
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            log('ERROR', 'Database test failed', error);
+            res.status(500).json({
+                success: false,
+                error: error.message
+            });
+        }
+    });
+
+    // Health check
+    router.get('/health', async (req, res) => {
+        let dbConnected = true;
+        try {
+            await db.profiles.ping();
+        } catch {
+            dbConnected = false;
+        }
+        
+        res.json({ 
+            status: 'ok', 
+            timestamp: new Date().toISOString(),
+            port: req.socket.localPort,
+            database: dbConnected ? 'connected' : 'disconnected',
+            eventStreams: streamCount(),
+            environment: process.env.NODE_ENV || 'development'
+        });
+    });
+
+    return router;
+}
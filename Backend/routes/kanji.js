@@ -0,0 +1,131 @@
+import express from 'express';
+import { log } from '../log.js';
+
+// The kanji dataset - public, cacheable by ETag
+export function kanjiRoutes({ kanjiDataset }) {
+    const router = express.Router();
+
+    // Every kanji response shares the dataset's ETag, so a client holding a cached
+    // copy of any page can revalidate with If-None-Match and get a 304
+    function sendKanjiResponse(req, res, body) {
+        res.set('ETag', kanjiDataset.etag);
+        res.set('X-Content-Version', String(kanjiDataset.version));
+        res.set('Cache-Control', 'public, max-age=300');
+
+        if (req.fresh) {
+            return res.status(304).end();
+        }
+
+        res.json({ success: true, version: kanjiDataset.version, ...body });
+    }
+
+    // List kanji with paging and optional level/JLPT filters (comma-separated)
+    router.get('/kanji', (req, res) => {
+        try {
+            const page = Math.max(parseInt(req.query.page) || 1, 1);
+            const limit = Math.min(Math.max(parseInt(req.query.limit) || 100, 1), 1000);
+
+            const levels = req.query.level ? String(req.query.level).split(',').map(level => parseInt(level)) : null;
+            if (levels && levels.some(level => !Number.isInteger(level))) {
+                return res.status(400).json({ error: 'Invalid level filter' });
+            }
+
+            const jlptLevels = req.query.jlpt ? String(req.query.jlpt).toUpperCase().split(',') : null;
+            if (jlptLevels && jlptLevels.some(jlpt => !['N5', 'N4', 'N3', 'N2', 'N1'].includes(jlpt))) {
+                return res.status(400).json({ error: 'Invalid JLPT filter. Must be N5-N1' });
+            }
+
+            // ?component=木 or ?component=木,口 lists kanji containing all of them
+            const components = req.query.component ? String(req.query.component).split(',').filter(Boolean) : null;
+
+            const matches = kanjiDataset.kanji.filter(kanji =>
+                (!levels || levels.includes(kanji.level)) &&
+                (!jlptLevels || jlptLevels.includes(kanji.jlpt)) &&
+                (!components || components.every(component => kanji.components?.includes(component)))
+            );
+
+            sendKanjiResponse(req, res, {
+                page,
+                limit,
+                total: matches.length,
+                totalPages: Math.ceil(matches.length / limit),
+                kanji: matches.slice((page - 1) * limit, page * limit)
+            });
+        } catch (error) {
+            log('ERROR', 'Kanji list error', error);
+            res.status(500).json({ error: 'Failed to get kanji' });
+        }
+    });
+
+    // Stroke paths for several characters at once, e.g. to prefetch a study session.
+    // Pass ?chars=一つ (kanji and kana, keyed by character) or ?ids=1,2,3 (keyed by kanji id).
+    router.get('/kanji/strokes', (req, res) => {
+        const strokes = {};
+
+        if (req.query.chars) {
+            const characters = [...new Set(String(req.query.chars))];
+            if (characters.length > 500) {
+                return res.status(400).json({ error: 'At most 500 characters per request' });
+            }
+            for (const character of characters) {
+                const paths = kanjiDataset.strokesByCharacter.get(character);
+                if (paths) strokes[character] = paths;
+            }
+        } else {
+            const ids = String(req.query.ids || '').split(',').filter(Boolean).map(id => parseInt(id));
+            if (ids.length === 0 || ids.some(id => !Number.isInteger(id))) {
+                return res.status(400).json({ error: 'Pass chars, or ids as a comma-separated list of kanji ids' });
+            }
+            if (ids.length > 500) {
+                return res.status(400).json({ error: 'At most 500 ids per request' });
+            }
+            for (const id of ids) {
+                const kanji = kanjiDataset.byId.get(id);
+                const paths = kanji && kanjiDataset.strokesByCharacter.get(kanji.character);
+                if (paths) strokes[id] = paths;
+            }
+        }
+
+        sendKanjiResponse(req, res, {
+            viewBox: kanjiDataset.strokeViewBox,
+            source: kanjiDataset.strokeSource,
+            strokes
+        });
+    });
+
+    // Look up a single kanji by its character
+    router.get('/kanji/by-char/:character', (req, res) => {
+        const kanji = kanjiDataset.byCharacter.get(req.params.character);
+        if (!kanji) {
+            return res.status(404).json({ error: 'Kanji not found' });
+        }
+        sendKanjiResponse(req, res, { kanji });
+    });
+
+    // Stroke paths for one kanji, in writing order
+    router.get('/kanji/:id/strokes', (req, res) => {
+        const kanji = kanjiDataset.byId.get(parseInt(req.params.id));
+        const strokes = kanji && kanjiDataset.strokesByCharacter.get(kanji.character);
+        if (!strokes) {
+            return res.status(404).json({ error: 'No stroke data for this kanji' });
+        }
+        sendKanjiResponse(req, res, {
+            kanjiId: kanji.id,
+            character: kanji.character,
+            viewBox: kanjiDataset.strokeViewBox,
+            source: kanjiDataset.strokeSource,
+            strokes
+        });
+    });
+
+    // Look up a single kanji by id
+    router.get('/kanji/:id', (req, res) => {
+        const kanji = kanjiDataset.byId.get(parseInt(req.params.id));
+        if (!kanji) {
+            return res.status(404).json({ error: 'Kanji not found' });
+        }
+        sendKanjiResponse(req, res, { kanji });
+    });
+
+    return router;
+}
@@ -0,0 +1,508 @@
+import express from 'express';
+import rateLimit from 'express-rate-limit';
+import { log } from '../log.js';
+import { applyAnswer, applyLapse, isLapse, rollUpWords, FACETS } from '../scheduler.js';
+import { publish } from '../events.js';
+
+// Kanji added to review are due immediately; removing one clears its due date
+function nextReviewForMembership(existing, inReview, now) {
+    if (!inReview) return null;
+    if (existing?.in_review && existing.next_review) return existing.next_review;
+    return now;
+}
+
+// When a queued offline change was made: the client's timestamp (ms or ISO),
+// never later than now. Returns an ISO string, or null if it is not a date.
+function changeTimestamp(value, now = new Date()) {
+    if (value === undefined || value === null) return now.toISOString();
+    const time = new Date(value).getTime();
+    if (!Number.isFinite(time)) return null;
+    return new Date(Math.min(time, now.getTime())).toISOString();
+}
+
+// Per-field last-writer-wins against user_kanji_progress.field_updated_at
+function fieldWins(stamps, field, at) {
+    return !stamps?.[field] || at >= stamps[field];
+}
+
+// The leech columns to write with an answer's SRS update. If the lapse suspends
+// the kanji, that is stamped as a change to the suspended field, unless the user
+// set the field more recently elsewhere.
+function leechUpdates(existing, lapsed, settings, stamps, at) {
+    const updates = applyLapse(existing, lapsed, {
+        threshold: settings?.leech_threshold || 8,
+        action: settings?.leech_action || 'tag'
+    });
+    if (updates.suspended && !existing?.suspended) {
+        if (fieldWins(stamps, 'suspended', at)) stamps.suspended = at;
+        else updates.suspended = false;
+    }
+    return updates;
+}
+
+// The problem with a graded answer's body, shared by the kanji, word and facet
+// answer endpoints, or null if it is valid
+function answerError({ grade, timeTakenMs }) {
+    if (!Number.isInteger(grade) || grade < 1 || grade > 4) {
+        return 'Grade must be an integer from 1 to 4';
+    }
+    if (timeTakenMs !== undefined && timeTakenMs !== null && (!Number.isFinite(timeTakenMs) || timeTakenMs < 0)) {
+        return 'Invalid time taken';
+    }
+    return null;
+}
+
+// Per-kanji progress (review membership, mnemonics and graded answers), plus
+// per-word progress for users who review by word and per-facet progress for the
+// reading-only and meaning-only question modes
+export function progressRoutes({ db, authenticateUser, kanjiDataset }) {
+    const router = express.Router();
+
+    // Answers and bulk updates skip the app's per-IP limit (see app.js) and are
+    // limited per account, generously enough to replay a long offline session
+    const syncLimiter = rateLimit({
+        windowMs: 15 * 60 * 1000,
+        max: 3000,
+        keyGenerator: req => req.user.id
+    });
+
+    // Get user progress endpoint
+    router.get('/progress', authenticateUser, async (req, res) => {
+        try {
+            const progress = await db.progress.list(req.user.id);
+            res.json({ success: true, progress });
+        } catch (error) {
+            log('ERROR', 'Progress endpoint error', error);
+            res.status(500).json({ error: 'Failed to get progress' });
+        }
+    });
+
+    // Bulk update kanji progress endpoint
+    router.post('/progress/bulk-update', authenticateUser, syncLimiter, async (req, res) => {
+        try {
+            const { kanjiProgressData } = req.body;
+            
+            if (!kanjiProgressData || !Array.isArray(kanjiProgressData)) {
+                return res.status(400).json({ error: 'Invalid kanji progress data' });
+            }
+
+            // Each entry is a [kanjiId, progressData] pair for a kanji in the dataset
+            const invalidEntry = kanjiProgressData.findIndex(entry => !Array.isArray(entry) ||
+                !Number.isInteger(entry[0]) || !kanjiDataset.byId.has(entry[0]) ||
+                !entry[1] || typeof entry[1] !== 'object' || Array.isArray(entry[1]));
+            if (invalidEntry !== -1) {
+                return res.status(400).json({ error: `Invalid kanji progress data at index ${invalidEntry}` });
+            }
+
+            log('INFO', `Bulk updating progress for ${kanjiProgressData.length} kanji for user ${req.user.id}`);
+
+            // Only review membership, suspension and mnemonics are client-writable; SRS
+            // state changes go through POST /api/progress/:kanjiId/answer
+            const existingRows = await db.progress.listByKanji(req.user.id, kanjiProgressData.map(([kanjiId]) => kanjiId));
+            const existingById = new Map((existingRows || []).map(row => [row.kanji_id, row]));
+
+            // Each record carries the version the client last saw. If any kanji has been
+            // written since, nothing is saved and the server's copies are returned so the
+            // client can merge and retry. Records without a version skip the check.
+            const conflicts = kanjiProgressData
+                .filter(([kanjiId, progressData]) => Number.isInteger(progressData.version) &&
+                    progressData.version !== (existingById.get(kanjiId)?.version || 0))
+                .map(([kanjiId]) => existingById.get(kanjiId) || { kanji_id: kanjiId, version: 0 });
+
+            if (conflicts.length > 0) {
+                log('WARN', `Rejected bulk update with ${conflicts.length} stale kanji for user ${req.user.id}`);
+                return res.status(409).json({ error: 'Progress was changed by another session', conflicts });
+            }
+
+            const now = new Date().toISOString();
+            let skipped = 0;
+
+            // progressData.updatedAt optionally holds when each field was changed on the
+            // client; a field changed more recently elsewhere keeps its stored value
+            const progressRecords = kanjiProgressData.map(([kanjiId, progressData]) => {
+                const existing = existingById.get(kanjiId);
+                const stamps = { ...existing?.field_updated_at };
+                const inReviewAt = changeTimestamp(progressData.updatedAt?.inReview) || now;
+                const mnemonicAt = changeTimestamp(progressData.updatedAt?.mnemonic) || now;
+                const suspendedAt = changeTimestamp(progressData.updatedAt?.suspended) || now;
+
+                let inReview = progressData.inReview || false;
+                if (fieldWins(stamps, 'inReview', inReviewAt)) {
+                    stamps.inReview = inReviewAt;
+                } else {
+                    inReview = existing.in_review;
+                    skipped++;
+                }
+
+                // Records without the field leave the stored suspension alone
+                let suspended = existing?.suspended || false;
+                if (typeof progressData.suspended === 'boolean') {
+                    if (fieldWins(stamps, 'suspended', suspendedAt)) {
+                        suspended = progressData.suspended;
+                        stamps.suspended = suspendedAt;
+                    } else {
+                        skipped++;
+                    }
+                }
+
+                let mnemonic = progressData.mnemonic || null;
+                if (fieldWins(stamps, 'mnemonic', mnemonicAt)) {
+                    stamps.mnemonic = mnemonicAt;
+                } else {
+                    mnemonic = existing.mnemonic;
+                    skipped++;
+                }
+
+                return {
+                    user_id: req.user.id,
+                    kanji_id: kanjiId,
+                    in_review: inReview,
+                    next_review: nextReviewForMembership(existing, inReview, now),
+                    suspended,
+                    mnemonic,
+                    field_updated_at: stamps,
+                    version: (existing?.version || 0) + 1,
+                    updated_at: now
+                };
+            });
+
+            await db.progress.upsert(progressRecords);
+
+            publish(req.user.id, 'progress', { rows: progressRecords }, req.headers['x-session-id']);
+
+            log('SUCCESS', `Bulk updated ${kanjiProgressData.length} kanji progress records (${skipped} stale fields kept)`);
+            res.json({
+                success: true,
+                updated: kanjiProgressData.length,
+                skipped,
+                versions: Object.fromEntries(progressRecords.map(record => [record.kanji_id, record.version]))
+            });
+            
+        } catch (error) {
+            log('ERROR', 'Bulk progress update error', error);
+            res.status(500).json({ error: 'Failed to update progress' });
+        }
+    });
+
+    // Grade one answer: the server runs the SRS update and returns the new state
+    router.post('/progress/:kanjiId/answer', authenticateUser, syncLimiter, async (req, res) => {
+        try {
+            const { grade, word, questionMode, timeTakenMs, timezoneOffset, answeredAt } = req.body;
+
+            const kanjiId = parseInt(req.params.kanjiId);
+            if (!kanjiDataset.byId.has(kanjiId)) {
+                return res.status(400).json({ error: 'Invalid kanji id' });
+            }
+
+            const invalid = answerError(req.body);
+            if (invalid) {
+                return res.status(400).json({ error: invalid });
+            }
+
+            // Answers queued offline are replayed later with the time they were given
+            const answeredAtIso = changeTimestamp(answeredAt);
+            if (!answeredAtIso) {
+                return res.status(400).json({ error: 'Invalid answeredAt' });
+            }
+
+            const existing = await db.progress.get(req.user.id, kanjiId);
+
+            // A newer review from another device already set the schedule: keep it and
+            // only log this answer
+            const stale = !fieldWins(existing?.field_updated_at, 'srs', answeredAtIso);
+
+            const settings = await db.settings.get(req.user.id, 'scheduler, max_interval, leech_threshold, leech_action');
+
+            const now = new Date(answeredAtIso);
+            const updates = applyAnswer(existing, grade, {
+                scheduler: settings?.scheduler,
+                maxInterval: settings?.max_interval || 180,
+                timezoneOffset: Number.isFinite(timezoneOffset) ? timezoneOffset : 0,
+                now
+            });
+
+            let progress = existing;
+            if (!stale) {
+                const stamps = { ...existing?.field_updated_at, srs: answeredAtIso };
+                if (fieldWins(stamps, 'inReview', answeredAtIso)) stamps.inReview = answeredAtIso;
+
+                progress = await db.progress.save({
+                    user_id: req.user.id,
+                    kanji_id: kanjiId,
+                    ...updates,
+                    ...leechUpdates(existing, isLapse(existing, grade), settings, stamps, answeredAtIso),
+                    field_updated_at: stamps,
+                    version: (existing?.version || 0) + 1,
+                    updated_at: new Date().toISOString()
+                });
+            }
+
+            try {
+                await db.reviews.add({
+                    user_id: req.user.id,
+                    kanji_id: kanjiId,
+                    word: word || null,
+                    question_mode: questionMode || null,
+                    grade,
+                    time_taken_ms: timeTakenMs != null ? Math.round(timeTakenMs) : null,
+                    interval_before: existing?.srs_interval ?? 1,
+                    interval_after: stale ? null : updates.srs_interval,
+                    new_card: !(existing?.total_reviews > 0),
+                    reviewed_at: answeredAtIso
+                });
+            } catch (logError) {
+                // The progress row is already saved, so a missing log entry is not fatal
+                log('ERROR', 'Failed to log review for answer', logError);
+            }
+
+            if (!stale) publish(req.user.id, 'progress', { rows: [progress] }, req.headers['x-session-id']);
+
+            res.json({ success: true, progress, stale });
+        } catch (error) {
+            log('ERROR', 'Answer error', error);
+            res.status(500).json({ error: 'Failed to record answer' });
+        }
+    });
+
+    // Get the user's per-word progress
+    router.get('/word-progress', authenticateUser, async (req, res) => {
+        try {
+            const progress = await db.wordProgress.list(req.user.id);
+            res.json({ success: true, progress });
+        } catch (error) {
+            log('ERROR', 'Word progress endpoint error', error);
+            res.status(500).json({ error: 'Failed to get word progress' });
+        }
+    });
+
+    // Grade one answer for a word of a kanji. The word's SRS state is updated and
+    // the kanji's row is rolled up from all of its current words.
+    router.post('/word-progress/:kanjiId/answer', authenticateUser, syncLimiter, async (req, res) => {
+        try {
+            const { word, grade, questionMode, timeTakenMs, timezoneOffset, answeredAt } = req.body;
+
+            const kanjiId = parseInt(req.params.kanjiId);
+            const kanji = kanjiDataset.byId.get(kanjiId);
+            if (!kanji) {
+                return res.status(400).json({ error: 'Invalid kanji id' });
+            }
+
+            const invalid = answerError(req.body);
+            if (invalid) {
+                return res.status(400).json({ error: invalid });
+            }
+
+            const answeredAtIso = changeTimestamp(answeredAt);
+            if (!answeredAtIso) {
+                return res.status(400).json({ error: 'Invalid answeredAt' });
+            }
+
+            // Words are the kanji's built-in variations and the user's custom words
+            const customWords = await db.customWords.list(req.user.id, kanjiId);
+            const words = new Set([...(kanji.variations || []), ...customWords].map(entry => entry.word));
+            if (typeof word !== 'string' || !words.has(word)) {
+                return res.status(400).json({ error: 'Unknown word for this kanji' });
+            }
+
+            const existing = await db.wordProgress.get(req.user.id, kanjiId, word);
+            const stale = !fieldWins(existing?.field_updated_at, 'srs', answeredAtIso);
+
+            const settings = await db.settings.get(req.user.id, 'scheduler, max_interval, leech_threshold, leech_action');
+            const updates = applyAnswer(existing, grade, {
+                scheduler: settings?.scheduler,
+                maxInterval: settings?.max_interval || 180,
+                timezoneOffset: Number.isFinite(timezoneOffset) ? timezoneOffset : 0,
+                now: new Date(answeredAtIso)
+            });
+            // Review membership belongs to the kanji, not its words
+            delete updates.in_review;
+
+            let wordProgress = existing;
+            let progress = null;
+            if (!stale) {
+                wordProgress = await db.wordProgress.save({
+                    user_id: req.user.id,
+                    kanji_id: kanjiId,
+                    word,
+                    ...updates,
+                    field_updated_at: { ...existing?.field_updated_at, srs: answeredAtIso },
+                    updated_at: new Date().toISOString()
+                });
+
+                // Words since removed (deleted custom words) no longer count
+                const rows = (await db.wordProgress.listByKanji(req.user.id, kanjiId)).filter(row => words.has(row.word));
+                const kanjiRow = await db.progress.get(req.user.id, kanjiId);
+                if (fieldWins(kanjiRow?.field_updated_at, 'srs', answeredAtIso)) {
+                    const stamps = { ...kanjiRow?.field_updated_at, srs: answeredAtIso };
+                    if (fieldWins(stamps, 'inReview', answeredAtIso)) stamps.inReview = answeredAtIso;
+
+                    progress = await db.progress.save({
+                        user_id: req.user.id,
+                        kanji_id: kanjiId,
+                        ...rollUpWords(rows),
+                        // Lapses are counted on the kanji, whichever of its words was missed
+                        ...leechUpdates(kanjiRow, isLapse(existing, grade), settings, stamps, answeredAtIso),
+                        field_updated_at: stamps,
+                        version: (kanjiRow?.version || 0) + 1,
+                        updated_at: new Date().toISOString()
+                    });
+                }
+            }
+
+            try {
+                await db.reviews.add({
+                    user_id: req.user.id,
+                    kanji_id: kanjiId,
+                    word,
+                    question_mode: questionMode || null,
+                    grade,
+                    time_taken_ms: timeTakenMs != null ? Math.round(timeTakenMs) : null,
+                    interval_before: existing?.srs_interval ?? 1,
+                    interval_after: stale ? null : updates.srs_interval,
+                    new_card: !(existing?.total_reviews > 0),
+                    reviewed_at: answeredAtIso
+                });
+            } catch (logError) {
+                log('ERROR', 'Failed to log review for word answer', logError);
+            }
+
+            if (!stale) publish(req.user.id, 'word-progress', { rows: [wordProgress] }, req.headers['x-session-id']);
+            if (progress) publish(req.user.id, 'progress', { rows: [progress] }, req.headers['x-session-id']);
+
+            res.json({ success: true, wordProgress, progress, stale });
+        } catch (error) {
+            log('ERROR', 'Word answer error', error);
+            res.status(500).json({ error: 'Failed to record answer' });
+        }
+    });
+
+    // Get the user's reading and meaning progress
+    router.get('/facet-progress', authenticateUser, async (req, res) => {
+        try {
+            const progress = await db.facetProgress.list(req.user.id);
+            res.json({ success: true, progress });
+        } catch (error) {
+            log('ERROR', 'Facet progress endpoint error', error);
+            res.status(500).json({ error: 'Failed to get facet progress' });
+        }
+    });
+
+    // Grade one answer for the reading or the meaning of a kanji. Only that facet's
+    // schedule changes; the kanji's own row is left alone.
+    router.post('/facet-progress/:kanjiId/answer', authenticateUser, syncLimiter, async (req, res) => {
+        try {
+            const { facet, word, grade, questionMode, timeTakenMs, timezoneOffset, answeredAt } = req.body;
+
+            const kanjiId = parseInt(req.params.kanjiId);
+            if (!kanjiDataset.byId.has(kanjiId)) {
+                return res.status(400).json({ error: 'Invalid kanji id' });
+            }
+
+            if (!FACETS.includes(facet)) {
+                return res.status(400).json({ error: 'Facet must be "reading" or "meaning"' });
+            }
+
+            const invalid = answerError(req.body);
+            if (invalid) {
+                return res.status(400).json({ error: invalid });
+            }
+
+            const answeredAtIso = changeTimestamp(answeredAt);
+            if (!answeredAtIso) {
+                return res.status(400).json({ error: 'Invalid answeredAt' });
+            }
+
+            const existing = await db.facetProgress.get(req.user.id, kanjiId, facet);
+            const stale = !fieldWins(existing?.field_updated_at, 'srs', answeredAtIso);
+
+            const settings = await db.settings.get(req.user.id, 'scheduler, max_interval');
+            const updates = applyAnswer(existing, grade, {
+                scheduler: settings?.scheduler,
+                maxInterval: settings?.max_interval || 180,
+                timezoneOffset: Number.isFinite(timezoneOffset) ? timezoneOffset : 0,
+                now: new Date(answeredAtIso)
+            });
+            // Review membership belongs to the kanji, not its facets
+            delete updates.in_review;
+
+            let facetProgress = existing;
+            if (!stale) {
+                facetProgress = await db.facetProgress.save({
+                    user_id: req.user.id,
+                    kanji_id: kanjiId,
+                    facet,
+                    ...updates,
+                    field_updated_at: { ...existing?.field_updated_at, srs: answeredAtIso },
+                    updated_at: new Date().toISOString()
+                });
+            }
+
+            try {
+                await db.reviews.add({
+                    user_id: req.user.id,
+                    kanji_id: kanjiId,
+                    word: word || null,
+                    question_mode: questionMode || null,
+                    facet,
+                    grade,
+                    time_taken_ms: timeTakenMs != null ? Math.round(timeTakenMs) : null,
+                    interval_before: existing?.srs_interval ?? 1,
+                    interval_after: stale ? null : updates.srs_interval,
+                    // Facets are drilled once their kanji is in review, so they are never new
+                    new_card: false,
+                    reviewed_at: answeredAtIso
+                });
+            } catch (logError) {
+                log('ERROR', 'Failed to log review for facet answer', logError);
+            }
+
+            if (!stale) publish(req.user.id, 'facet-progress', { rows: [facetProgress] }, req.headers['x-session-id']);
+
+            res.json({ success: true, facetProgress, stale });
+        } catch (error) {
+            log('ERROR', 'Facet answer error', error);
+            res.status(500).json({ error: 'Failed to record answer' });
+        }
+    });
+
+    // Update kanji progress endpoint
+    router.post('/progress/update', authenticateUser, async (req, res) => {
+        try {
+            const { kanji_id, in_review, mnemonic, suspended } = req.body;
+
+            if (!Number.isInteger(kanji_id) || !kanjiDataset.byId.has(kanji_id)) {
+                return res.status(400).json({ error: 'Invalid kanji id' });
+            }
+
+            const existing = await db.progress.get(req.user.id, kanji_id, 'kanji_id, in_review, next_review, field_updated_at, version');
+
+            const now = new Date().toISOString();
+            const progressData = {
+                user_id: req.user.id,
+                kanji_id,
+                in_review: in_review || false,
+                next_review: nextReviewForMembership(existing, in_review || false, now),
+                mnemonic: mnemonic || null,
+                field_updated_at: { ...existing?.field_updated_at, inReview: now, mnemonic: now },
+                version: (existing?.version || 0) + 1,
+                updated_at: now
+            };
+
+            // Left out, the stored suspension is kept
+            if (typeof suspended === 'boolean') {
+                progressData.suspended = suspended;
+                progressData.field_updated_at.suspended = now;
+            }
+
+            await db.progress.upsert(progressData);
+
+            publish(req.user.id, 'progress', { rows: [progressData] }, req.headers['x-session-id']);
+            res.json({ success: true });
+        } catch (error) {
+            log('ERROR', 'Progress update error', error);
+            res.status(500).json({ error: 'Failed to update progress' });
+        }
+    });
+
+    return router;
+}
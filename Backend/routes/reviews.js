@@ -0,0 +1,110 @@
+import express from 'express';
+import { log } from '../log.js';
+import { startOfLocalDay } from '../scheduler.js';
+import { settingsFromRow } from '../db/index.js';
+
+// The review log: one entry per answer, read back for stats and forecasts
+export function reviewsRoutes({ db, authenticateUser }) {
+    const router = express.Router();
+
+    // Append one answer to the review log
+    router.post('/reviews', authenticateUser, async (req, res) => {
+        try {
+            const { kanjiId, word, questionMode, grade, timeTakenMs, intervalBefore, intervalAfter } = req.body;
+
+            const parsedKanjiId = parseInt(kanjiId);
+            if (!Number.isInteger(parsedKanjiId) || parsedKanjiId <= 0) {
+                return res.status(400).json({ error: 'Invalid kanji id' });
+            }
+
+            if (!Number.isInteger(grade) || grade < 1 || grade > 4) {
+                return res.status(400).json({ error: 'Grade must be an integer from 1 to 4' });
+            }
+
+            if (timeTakenMs !== undefined && timeTakenMs !== null && (!Number.isFinite(timeTakenMs) || timeTakenMs < 0)) {
+                return res.status(400).json({ error: 'Invalid time taken' });
+            }
+
+            const review = await db.reviews.add({
+                user_id: req.user.id,
+                kanji_id: parsedKanjiId,
+                word: word || null,
+                question_mode: questionMode || null,
+                grade,
+                time_taken_ms: timeTakenMs != null ? Math.round(timeTakenMs) : null,
+                interval_before: intervalBefore ?? null,
+                interval_after: intervalAfter ?? null,
+                reviewed_at: new Date().toISOString()
+            });
+
+            res.json({ success: true, review });
+        } catch (error) {
+            log('ERROR', 'Review log error', error);
+            res.status(500).json({ error: 'Failed to log review' });
+        }
+    });
+
+    // Get review log entries, newest first (defaults to the last 7 days)
+    router.get('/reviews', authenticateUser, async (req, res) => {
+        try {
+            const since = req.query.since ? new Date(req.query.since) : new Date(Date.now() - 7 * 24 * 60 * 60 * 1000);
+            if (isNaN(since.getTime())) {
+                return res.status(400).json({ error: 'Invalid since date' });
+            }
+
+            const limit = Math.min(parseInt(req.query.limit) || 1000, 5000);
+
+            const reviews = await db.reviews.since(req.user.id, since, limit);
+            res.json({ success: true, reviews });
+        } catch (error) {
+            log('ERROR', 'Review log get error', error);
+            res.status(500).json({ error: 'Failed to get reviews' });
+        }
+    });
+
+    // Today's study so far against the daily limits. Each kanji (or each word, for
+    // users who review by word) counts once per day: as new if its first ever answer
+    // was today and as a review otherwise; a kanji's reading and meaning count as
+    // reviews of their own. timezoneOffset is the client's Date#getTimezoneOffset(),
+    // so days end at local midnight.
+    router.get('/reviews/today', authenticateUser, async (req, res) => {
+        try {
+            const timezoneOffset = req.query.timezoneOffset !== undefined ? Number(req.query.timezoneOffset) : 0;
+            if (!Number.isFinite(timezoneOffset) || Math.abs(timezoneOffset) > 14 * 60) {
+                return res.status(400).json({ error: 'Invalid timezone offset' });
+            }
+
+            const dayStart = startOfLocalDay(new Date(), timezoneOffset);
+            const [rows, settingsData] = await Promise.all([
+                db.reviews.kanjiSince(req.user.id, dayStart),
+                db.settings.get(req.user.id, 'new_per_day, reviews_per_day, review_unit')
+            ]);
+
+            const { newPerDay, reviewsPerDay, reviewUnit } = settingsFromRow(settingsData);
+            const itemKey = row => {
+                if (row.facet) return `${row.kanji_id}/${row.facet}`;
+                return reviewUnit === 'word' ? `${row.kanji_id}:${row.word}` : row.kanji_id;
+            };
+            const newKanji = new Set(rows.filter(row => row.new_card).map(itemKey));
+            const reviewedKanji = new Set(rows.map(itemKey).filter(key => !newKanji.has(key)));
+
+            res.json({
+                success: true,
+                today: {
+                    dayStart: dayStart.toISOString(),
+                    newStudied: newKanji.size,
+                    reviewsDone: reviewedKanji.size,
+                    newPerDay,
+                    reviewsPerDay,
+                    newRemaining: Math.max(0, newPerDay - newKanji.size),
+                    reviewsRemaining: Math.max(0, reviewsPerDay - reviewedKanji.size)
+                }
+            });
+        } catch (error) {
+            log('ERROR', 'Daily counts error', error);
+            res.status(500).json({ error: 'Failed to get today\'s reviews' });
+        }
+    });
+
+    return router;
+}
@@ -0,0 +1,126 @@
+import express from 'express';
+import { log } from '../log.js';
+import { settingsFromRow, settingsRow, LANGUAGES, SCHEDULERS, QUEUE_ORDERS, REVIEW_UNITS, LEECH_ACTIONS } from '../db/index.js';
+import { publish } from '../events.js';
+
+// User settings, plus the language preference on its own
+export function settingsRoutes({ db, authenticateUser }) {
+    const router = express.Router();
+
+    // Retrieve user settings, with defaults for anything not saved yet
+    router.get('/settings', authenticateUser, async (req, res) => {
+        try {
+            const data = await db.settings.get(req.user.id);
+            const settings = settingsFromRow(data, req.user.username);
+            
+            res.json({ success: true, settings });
+            
+        } catch (error) {
+            log('ERROR', 'Settings get error', error);
+            res.status(500).json({ error: 'Failed to get settings' });
+        }
+    });
+
+    // Save user settings
+    router.put('/settings', authenticateUser, async (req, res) => {
+        try {
+            const { language, scheduler, newPerDay, reviewsPerDay, queueOrder, reviewUnit, leechThreshold, leechAction } = req.body;
+            
+            // Validate language parameter
+            if (language && !LANGUAGES.includes(language)) {
+                return res.status(400).json({ error: 'Invalid language. Must be "en" or "ja"' });
+            }
+
+            if (scheduler && !SCHEDULERS.includes(scheduler)) {
+                return res.status(400).json({ error: 'Invalid scheduler. Must be "sm2" or "fsrs"' });
+            }
+
+            if (queueOrder && !QUEUE_ORDERS.includes(queueOrder)) {
+                return res.status(400).json({ error: `Invalid queue order. Must be one of ${QUEUE_ORDERS.join(', ')}` });
+            }
+
+            if (reviewUnit && !REVIEW_UNITS.includes(reviewUnit)) {
+                return res.status(400).json({ error: 'Invalid review unit. Must be "kanji" or "word"' });
+            }
+
+            if (leechAction && !LEECH_ACTIONS.includes(leechAction)) {
+                return res.status(400).json({ error: 'Invalid leech action. Must be "tag" or "suspend"' });
+            }
+
+            if (leechThreshold !== undefined && (!Number.isInteger(leechThreshold) || leechThreshold < 1)) {
+                return res.status(400).json({ error: 'Leech threshold must be a whole number from 1 up' });
+            }
+
+            for (const limit of [newPerDay, reviewsPerDay]) {
+                if (limit !== undefined && (!Number.isInteger(limit) || limit < 0)) {
+                    return res.status(400).json({ error: 'Daily limits must be whole numbers from 0 up' });
+                }
+            }
+            
+            const row = settingsRow(req.user.id, req.body);
+            await db.settings.upsert(row);
+
+            // Settings left out of the request kept their stored values, so other
+            // devices get the row as saved
+            const saved = await db.settings.get(req.user.id);
+            publish(req.user.id, 'settings', {
+                settings: settingsFromRow(saved, req.user.username),
+                updatedAt: row.updated_at
+            }, req.headers['x-session-id']);
+            
+            log('SUCCESS', 'Settings saved successfully', { 
+                userId: req.user.id, 
+                language: language 
+            });
+            res.json({ success: true });
+            
+        } catch (error) {
+            log('ERROR', 'Settings save error', error);
+            res.status(500).json({ error: 'Failed to save settings' });
+        }
+    });
+
+    // Get the user's language preference
+    router.get('/user/language', authenticateUser, async (req, res) => {
+        try {
+            const data = await db.settings.get(req.user.id, 'language');
+            
+            const language = data?.language || 'en';
+            res.json({ success: true, language });
+            
+        } catch (error) {
+            log('ERROR', 'Language get error', error);
+            res.status(500).json({ error: 'Failed to get language preference' });
+        }
+    });
+
+    // Update the language preference only
+    router.put('/user/language', authenticateUser, async (req, res) => {
+        try {
+            const { language } = req.body;
+            
+            // Validate language parameter
+            if (!language || !LANGUAGES.includes(language)) {
+                return res.status(400).json({ error: 'Invalid language. Must be "en" or "ja"' });
+            }
+            
+            await db.settings.upsert({
+                user_id: req.user.id,
+                language: language,
+                updated_at: new Date().toISOString()
+            });
+            
+            log('SUCCESS', 'Language updated successfully', { 
+                userId: req.user.id, 
+                language: language 
+            });
+            res.json({ success: true, language });
+            
+        } catch (error) {
+            log('ERROR', 'Language update error', error);
+            res.status(500).json({ error: 'Failed to update language preference' });
+        }
+    });
+
+    return router;
+}
@@ -0,0 +1,66 @@
+import express from 'express';
+import { log } from '../log.js';
+
+// The daily review streak
+export function streakRoutes({ db, authenticateUser }) {
+    const router = express.Router();
+
+    // Get user streak
+    router.get('/streak', authenticateUser, async (req, res) => {
+        try {
+            const data = await db.streaks.get(req.user.id);
+
+            const streak = data ? {
+                dailyStreak: data.daily_streak || 0,
+                lastReviewDate: data.last_review_date
+            } : { dailyStreak: 0, lastReviewDate: null };
+
+            res.json({ success: true, streak });
+        } catch (error) {
+            log('ERROR', 'Streak get error', error);
+            res.status(500).json({ error: 'Failed to get streak' });
+        }
+    });
+
+    // Update streak when user completes a review
+    router.post('/streak/update', authenticateUser, async (req, res) => {
+        try {
+            const today = new Date().toISOString().split('T')[0]; // YYYY-MM-DD format
+            
+            // Get current streak
+            const currentStreak = await db.streaks.get(req.user.id);
+
+            let newStreak = 1;
+            
+            if (currentStreak) {
+                const lastDate = currentStreak.last_review_date;
+                const yesterday = new Date();
+                yesterday.setDate(yesterday.getDate() - 1);
+                const yesterdayStr = yesterday.toISOString().split('T')[0];
+                
+                if (lastDate === today) {
+                    // Already reviewed today, don't update
+                    return res.json({ success: true, streak: currentStreak.daily_streak });
+                } else if (lastDate === yesterdayStr) {
+                    // Consecutive day, increment streak
+                    newStreak = currentStreak.daily_streak + 1;
+                }
+                // If gap > 1 day, streak resets to 1 (handled by newStreak = 1 above)
+            }
+
+            await db.streaks.upsert({
+                user_id: req.user.id,
+                daily_streak: newStreak,
+                last_review_date: today,
+                updated_at: new Date().toISOString()
+            });
+
+            res.json({ success: true, streak: newStreak });
+        } catch (error) {
+            log('ERROR', 'Streak update error', error);
+            res.status(500).json({ error: 'Failed to update streak' });
+        }
+    });
+
+    return router;
+}
@@ -0,0 +1,203 @@
+// SRS scheduling used by the answer endpoint. The algorithms mirror the
+// SRS_SCHEDULERS object in frontend/index.html, which guests still run locally;
+// keep the two in sync.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// The parts of a kanji with a schedule of their own in user_facet_progress
+export const FACETS = ['reading', 'meaning'];
+
+// Ease 2.5 maps to difficulty 5, the minimum ease of 1.3 to the hardest difficulty of 10
+export function easeToDifficulty(ease) {
+    return Math.min(10, Math.max(1, 5 + (2.5 - (ease || 2.5)) * (5 / 1.2)));
+}
+
+export function difficultyToEase(difficulty) {
+    return Math.max(1.3, 2.5 - (difficulty - 5) * (1.2 / 5));
+}
+
+const FSRS_PARAMS = {
+    w: [0.4872, 1.4003, 3.7145, 13.8206, 5.1618, 1.2298, 0.8975, 0.031, 1.6474, 0.1367, 1.0461, 2.1072, 0.0793, 0.3246, 1.587, 0.2272, 2.8755],
+    requestRetention: 0.9,
+    decay: -0.5,
+    factor: 19 / 81
+};
+
+const sm2 = {
+    name: 'SM-2',
+    schedule(card, grade) {
+        let ease = card.ease || 2.5;
+        let interval = card.interval || 1;
+
+        if (grade < 3) {
+            ease = Math.max(1.3, ease - 0.2);
+            interval = 1;
+        } else if (grade === 3) {
+            interval = Math.round(interval * ease);
+        } else if (grade === 4) {
+            ease += 0.1;
+            interval = Math.round(interval * ease * 1.1);
+        }
+
+        return { interval, ease, stability: interval, difficulty: easeToDifficulty(ease) };
+    }
+};
+
+// FSRS-4.5 with the published default weights
+const fsrs = {
+    name: 'FSRS',
+    initDifficulty(grade) {
+        const { w } = FSRS_PARAMS;
+        return Math.min(10, Math.max(1, w[4] - (grade - 3) * w[5]));
+    },
+    nextInterval(stability) {
+        const { requestRetention, decay, factor } = FSRS_PARAMS;
+        const interval = (stability / factor) * (Math.pow(requestRetention, 1 / decay) - 1);
+        return Math.max(1, Math.round(interval));
+    },
+    schedule(card, grade, now) {
+        const { w, decay, factor } = FSRS_PARAMS;
+        let stability = card.stability;
+        let difficulty = card.difficulty;
+
+        // Cards reviewed under SM-2 start from their current interval and ease
+        if (!stability && card.totalReviews > 0) {
+            stability = card.interval || 1;
+            difficulty = easeToDifficulty(card.ease);
+        }
+
+        if (!stability) {
+            stability = w[grade - 1];
+            difficulty = this.initDifficulty(grade);
+        } else {
+            const elapsedDays = card.lastReview ? Math.max(0, (now - card.lastReview) / DAY_MS) : 0;
+            const retrievability = Math.pow(1 + factor * elapsedDays / stability, decay);
+
+            if (grade === 1) {
+                stability = Math.min(stability, w[11] *
+                    Math.pow(difficulty, -w[12]) *
+                    (Math.pow(stability + 1, w[13]) - 1) *
+                    Math.exp(w[14] * (1 - retrievability)));
+            } else {
+                const hardPenalty = grade === 2 ? w[15] : 1;
+                const easyBonus = grade === 4 ? w[16] : 1;
+                stability = stability * (1 + Math.exp(w[8]) *
+                    (11 - difficulty) *
+                    Math.pow(stability, -w[9]) *
+                    (Math.exp(w[10] * (1 - retrievability)) - 1) *
+                    hardPenalty * easyBonus);
+            }
+
+            const nextDifficulty = difficulty - w[6] * (grade - 3);
+            difficulty = w[7] * this.initDifficulty(4) + (1 - w[7]) * nextDifficulty;
+            difficulty = Math.min(10, Math.max(1, difficulty));
+        }
+
+        return {
+            interval: grade === 1 ? 1 : this.nextInterval(stability),
+            stability,
+            difficulty,
+            ease: difficultyToEase(difficulty)
+        };
+    }
+};
+
+export const SCHEDULERS = { sm2, fsrs };
+
+export function getScheduler(name) {
+    return SCHEDULERS[name] || SCHEDULERS.sm2;
+}
+
+// Next review is due at 2am local time on the target day. timezoneOffset is the
+// client's Date#getTimezoneOffset() in minutes.
+function nextReviewAt(now, interval, timezoneOffset = 0) {
+    const local = new Date(now.getTime() + interval * DAY_MS - timezoneOffset * 60 * 1000);
+    local.setUTCHours(2, 0, 0, 0);
+    return new Date(local.getTime() + timezoneOffset * 60 * 1000);
+}
+
+// A kanji reviewed word by word takes its user_kanji_progress columns from its
+// user_word_progress rows: due as soon as any word is, as strong as its weakest
+// word, and learned once every word studied so far is. Null if none is studied.
+export function rollUpWords(rows) {
+    const studied = rows.filter(row => row.total_reviews > 0);
+    if (studied.length === 0) return null;
+
+    const values = column => studied.map(row => Number(row[column]));
+    const sum = column => values(column).reduce((total, value) => total + value, 0);
+    const times = column => studied.filter(row => row[column]).map(row => new Date(row[column]).getTime());
+    const hasFsrsState = studied.every(row => row.stability != null && row.difficulty != null);
+
+    return {
+        in_review: true,
+        learned: studied.every(row => row.learned),
+        srs_interval: Math.min(...values('srs_interval')),
+        ease_factor: Math.min(...values('ease_factor')),
+        stability: hasFsrsState ? Math.min(...values('stability')) : null,
+        difficulty: hasFsrsState ? Math.max(...values('difficulty')) : null,
+        consecutive_correct: Math.min(...values('consecutive_correct')),
+        total_reviews: sum('total_reviews'),
+        correct_reviews: sum('correct_reviews'),
+        last_review: times('last_review').length > 0 ? new Date(Math.max(...times('last_review'))).toISOString() : null,
+        next_review: times('next_review').length > 0 ? new Date(Math.min(...times('next_review'))).toISOString() : null
+    };
+}
+
+// Midnight local time at the start of the day containing now, for per-day counts
+export function startOfLocalDay(now, timezoneOffset = 0) {
+    const local = new Date(now.getTime() - timezoneOffset * 60 * 1000);
+    local.setUTCHours(0, 0, 0, 0);
+    return new Date(local.getTime() + timezoneOffset * 60 * 1000);
+}
+
+// Apply one graded answer to a user_kanji_progress row and return the columns to write
+export function applyAnswer(row, grade, { scheduler, maxInterval = 180, timezoneOffset = 0, now = new Date() } = {}) {
+    const card = {
+        interval: Number(row?.srs_interval) || 1,
+        ease: Number(row?.ease_factor) || 2.5,
+        stability: row?.stability != null ? Number(row.stability) : null,
+        difficulty: row?.difficulty != null ? Number(row.difficulty) : null,
+        totalReviews: row?.total_reviews || 0,
+        lastReview: row?.last_review ? new Date(row.last_review) : null
+    };
+
+    const next = getScheduler(scheduler).schedule(card, grade, now);
+    const interval = Math.min(next.interval, maxInterval);
+    const correct = grade >= 3;
+    const consecutiveCorrect = correct ? (row?.consecutive_correct || 0) + 1 : 0;
+
+    return {
+        in_review: true,
+        learned: Boolean(row?.learned) || consecutiveCorrect >= 3,
+        srs_interval: interval,
+        ease_factor: next.ease,
+        stability: next.stability,
+        difficulty: next.difficulty,
+        consecutive_correct: consecutiveCorrect,
+        total_reviews: card.totalReviews + 1,
+        correct_reviews: (row?.correct_reviews || 0) + (correct ? 1 : 0),
+        last_review: now.toISOString(),
+        next_review: nextReviewAt(now, interval, timezoneOffset).toISOString()
+    };
+}
+
+// A wrong answer to something answered before is a lapse
+export function isLapse(row, grade) {
+    return grade < 3 && row?.total_reviews > 0;
+}
+
+// Count a lapse against a user_kanji_progress row and return the leech columns to
+// write. A kanji becomes a leech at `threshold` lapses. With the 'suspend' action it
+// is also suspended then, and again every half threshold after if it was
+// unsuspended and keeps failing.
+export function applyLapse(row, lapsed, { threshold = 8, action = 'tag' } = {}) {
+    const lapses = (row?.lapses || 0) + (lapsed ? 1 : 0);
+    const step = Math.max(1, Math.ceil(threshold / 2));
+    const flagged = lapsed && lapses >= threshold && (lapses - threshold) % step === 0;
+
+    return {
+        lapses,
+        leech: Boolean(row?.leech) || lapses >= threshold,
+        suspended: Boolean(row?.suspended) || (flagged && action === 'suspend')
+    };
+}
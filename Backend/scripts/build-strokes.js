@@ -0,0 +1,134 @@
+// Build data/strokes.json from a local copy of the KanjiVG SVG files, and fill in
+// the structure of each kanji in data/kanji.json.
+//
+//   node scripts/build-strokes.js --kanjivg <kanjivg/kanji directory> [--dataset file] [--out file]
+//
+// Kanji in the dataset plus hiragana and katakana (so whole answer words can be
+// checked by the handwriting recognizer) are included. Each entry is the list of
+// stroke paths in writing order, in KanjiVG's 109x109 coordinate space. Kanji
+// that have no strokeCount yet get one from the number of paths.
+//
+// Every kanji also gets a KRADFILE-style "components" list: each element KanjiVG
+// marks in the character's tree, outermost first (語 -> 言 口 吾 五 二). Kanji
+// without a radical from KANJIDIC2 get the element KanjiVG marks as the radical.
+//
+// KanjiVG is copyright Ulrich Apel and licensed under CC BY-SA 3.0
+// (http://kanjivg.tagaini.net); the attribution is kept in the output file.
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import sax from 'sax';
+
+function parseArgs(argv) {
+    const args = {};
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--kanjivg') args.kanjivg = argv[++i];
+        else if (arg === '--dataset') args.dataset = argv[++i];
+        else if (arg === '--out') args.out = argv[++i];
+        else throw new Error(`Unknown argument: ${arg}`);
+    }
+    if (!args.kanjivg) {
+        throw new Error('Usage: build-strokes.js --kanjivg <directory> [--dataset file] [--out file]');
+    }
+    return args;
+}
+
+// Hiragana ぁ-ゖ and katakana ァ-ヺ plus the long vowel mark
+function kanaCharacters() {
+    const characters = ['ー'];
+    for (let code = 0x3041; code <= 0x3096; code++) characters.push(String.fromCodePoint(code));
+    for (let code = 0x30a1; code <= 0x30fa; code++) characters.push(String.fromCodePoint(code));
+    return characters;
+}
+
+// KanjiVG names files by the zero-padded hex code point, e.g. 04e00.svg for 一
+function svgFileName(character) {
+    return character.codePointAt(0).toString(16).padStart(5, '0') + '.svg';
+}
+
+// Stroke paths in document order, which is the writing order, plus the elements
+// of the kanji's component tree
+function readKanjiVG(svg, character) {
+    const parser = sax.parser(true);
+    const strokes = [];
+    const components = [];
+    let radical = null;
+    parser.onopentag = (tag) => {
+        if (tag.name === 'path' && tag.attributes.d) strokes.push(tag.attributes.d);
+
+        const element = tag.name === 'g' && tag.attributes['kvg:element'];
+        if (!element) return;
+        if (!radical && ['general', 'tradit'].includes(tag.attributes['kvg:radical'])) radical = element;
+        if (element !== character && !components.includes(element)) components.push(element);
+    };
+    parser.write(svg).close();
+    return { strokes, components, radical };
+}
+
+function main() {
+    const args = parseArgs(process.argv.slice(2));
+    const backendDir = path.dirname(path.dirname(fileURLToPath(import.meta.url)));
+    const datasetFile = args.dataset || path.join(backendDir, 'data', 'kanji.json');
+    const outFile = args.out || path.join(backendDir, 'data', 'strokes.json');
+
+    const dataset = JSON.parse(fs.readFileSync(datasetFile, 'utf8'));
+    const strokes = {};
+    const missing = [];
+    let countsAdded = 0;
+    let structureChanged = 0;
+
+    for (const kanji of dataset.kanji) {
+        const file = path.join(args.kanjivg, svgFileName(kanji.character));
+        if (!fs.existsSync(file)) {
+            missing.push(kanji.character);
+            continue;
+        }
+
+        const kanjivg = readKanjiVG(fs.readFileSync(file, 'utf8'), kanji.character);
+        strokes[kanji.character] = kanjivg.strokes;
+        if (!kanji.strokeCount) {
+            kanji.strokeCount = kanjivg.strokes.length;
+            countsAdded++;
+        }
+
+        if (JSON.stringify(kanji.components) !== JSON.stringify(kanjivg.components) ||
+            (!kanji.radical && kanjivg.radical)) {
+            kanji.components = kanjivg.components;
+            kanji.radical = kanji.radical || kanjivg.radical;
+            structureChanged++;
+        }
+    }
+
+    for (const character of kanaCharacters()) {
+        const file = path.join(args.kanjivg, svgFileName(character));
+        if (fs.existsSync(file)) {
+            strokes[character] = readKanjiVG(fs.readFileSync(file, 'utf8'), character).strokes;
+        }
+    }
+
+    fs.writeFileSync(outFile, JSON.stringify({
+        source: 'KanjiVG (http://kanjivg.tagaini.net), copyright Ulrich Apel, CC BY-SA 3.0',
+        viewBox: '0 0 109 109',
+        strokes
+    }, null, 2) + '\n');
+    console.log(`Wrote stroke data for ${Object.keys(strokes).length} characters to ${outFile}`);
+
+    if (missing.length) {
+        console.log(`No KanjiVG file for: ${missing.join(' ')}`);
+    }
+
+    if (countsAdded || structureChanged) {
+        dataset.version += 1;
+        fs.writeFileSync(datasetFile, JSON.stringify(dataset, null, 2) + '\n');
+        console.log(`Added strokeCount to ${countsAdded} kanji and updated components of ${structureChanged} (dataset version ${dataset.version})`);
+    }
+}
+
+try {
+    main();
+} catch (error) {
+    console.error(error.message);
+    process.exit(1);
+}
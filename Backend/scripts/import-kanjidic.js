@@ -0,0 +1,368 @@
+// Import kanji from local KANJIDIC2 and JMdict XML files into data/kanji.json.
+//
+//   node scripts/import-kanjidic.js --kanjidic kanjidic2.xml --jmdict JMdict_e [options]
+//
+// Options:
+//   --out <file>          dataset to update (default data/kanji.json)
+//   --words <n>           example words per imported kanji (default 10)
+//   --no-jinmeiyou        only import jouyou kanji (grades 1-8)
+//   --dry-run             print a summary without writing
+//
+// Existing entries keep their id. Hand-written entries (no "source" field) keep
+// their content and only gain strokeCount/radical/grade/frequency; entries from
+// a previous import are regenerated. New kanji get ids after the current maximum.
+// Components come from KanjiVG; run build:strokes afterwards to fill them in.
+//
+// KANJIDIC2 and JMdict are property of the EDRDG and licensed under CC BY-SA 4.0;
+// imported content must be credited wherever it is shown.
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import sax from 'sax';
+
+const SOURCE = 'kanjidic2';
+const JLPT_ORDER = ['N5', 'N4', 'N3', 'N2', 'N1'];
+
+function parseArgs(argv) {
+    const args = { words: 10, jinmeiyou: true, dryRun: false };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--kanjidic') args.kanjidic = argv[++i];
+        else if (arg === '--jmdict') args.jmdict = argv[++i];
+        else if (arg === '--out') args.out = argv[++i];
+        else if (arg === '--words') args.words = parseInt(argv[++i]);
+        else if (arg === '--no-jinmeiyou') args.jinmeiyou = false;
+        else if (arg === '--dry-run') args.dryRun = true;
+        else throw new Error(`Unknown argument: ${arg}`);
+    }
+    if (!args.kanjidic || !args.jmdict) {
+        throw new Error('Usage: import-kanjidic.js --kanjidic <kanjidic2.xml> --jmdict <JMdict_e> [--out file] [--words n] [--no-jinmeiyou] [--dry-run]');
+    }
+    if (!Number.isInteger(args.words) || args.words < 0) {
+        throw new Error('--words must be a non-negative integer');
+    }
+    return args;
+}
+
+// Stream an XML file, calling onElement(name, node) for every closed element
+// whose name is in `collect`. Each node is { attributes, text, children }.
+function streamXml(file, collect, onElement) {
+    return new Promise((resolve, reject) => {
+        // Loose mode passes entities it does not know through as text, so the ones
+        // declared in the DTD can be expanded below; lowercase keeps names as written
+        const parser = sax.createStream(false, { trim: false, lowercase: true });
+        const stack = [];
+        const entities = new Map();
+
+        // JMdict declares its part-of-speech and misc tags as DTD entities
+        parser.on('doctype', (doctype) => {
+            for (const [, name, value] of doctype.matchAll(/<!ENTITY\s+(\S+)\s+"([^"]*)">/g)) {
+                entities.set(name, value);
+            }
+        });
+        parser.on('opentag', (tag) => {
+            stack.push({ name: tag.name, attributes: tag.attributes, text: '', children: [] });
+        });
+        parser.on('text', (text) => {
+            // Skip the whitespace between elements so the root node stays small
+            if (stack.length && text.trim()) {
+                stack[stack.length - 1].text += text.replace(/&([^\s&;]+);/g, (reference, name) => entities.get(name) ?? reference);
+            }
+        });
+        parser.on('closetag', () => {
+            const node = stack.pop();
+            node.text = node.text.trim();
+            if (collect.has(node.name)) {
+                onElement(node.name, node);
+            } else if (stack.length) {
+                stack[stack.length - 1].children.push(node);
+            }
+        });
+        parser.on('error', reject);
+        parser.on('end', resolve);
+
+        fs.createReadStream(file, { encoding: 'utf8' }).on('error', reject).pipe(parser);
+    });
+}
+
+function findAll(node, name) {
+    const found = [];
+    for (const child of node.children) {
+        if (child.name === name) found.push(child);
+        found.push(...findAll(child, name));
+    }
+    return found;
+}
+
+function findText(node, name) {
+    const match = findAll(node, name)[0];
+    return match ? match.text : null;
+}
+
+function katakanaToHiragana(text) {
+    return text.replace(/[ァ-ヶ]/g, ch => String.fromCharCode(ch.charCodeAt(0) - 0x60));
+}
+
+// Kangxi radical number -> its CJK unified ideograph (U+2F00 block normalises to it)
+function radicalCharacter(number) {
+    return String.fromCodePoint(0x2f00 + number - 1).normalize('NFKC');
+}
+
+function parseCharacter(node) {
+    const misc = findAll(node, 'misc')[0] || { children: [] };
+    const grade = parseInt(findText(misc, 'grade')) || null;
+    const strokeCount = parseInt(findText(misc, 'stroke_count')) || null;
+    const frequency = parseInt(findText(misc, 'freq')) || null;
+    const oldJlpt = parseInt(findText(misc, 'jlpt')) || null;
+
+    const classical = findAll(node, 'rad_value').find(rad => rad.attributes.rad_type === 'classical');
+    const radicalNumber = classical ? parseInt(classical.text) : null;
+
+    const readings = findAll(node, 'reading');
+    const onReadings = readings.filter(r => r.attributes.r_type === 'ja_on').map(r => katakanaToHiragana(r.text));
+    const kunReadings = readings.filter(r => r.attributes.r_type === 'ja_kun')
+        .map(r => r.text.split('.')[0].replace(/-/g, ''))
+        .filter(Boolean);
+
+    // Meanings without m_lang are English
+    const meanings = findAll(node, 'meaning').filter(m => !m.attributes.m_lang).map(m => m.text);
+
+    return {
+        character: findText(node, 'literal'),
+        grade,
+        strokeCount,
+        frequency,
+        oldJlpt,
+        radicalNumber,
+        onReadings,
+        readings: [...new Set([...onReadings, ...kunReadings])],
+        meanings
+    };
+}
+
+// KANJIDIC2 still uses the four pre-2010 JLPT levels. Old level 2 was split
+// into N3 and N2; the more frequent half goes to N3.
+function mapJlpt(entry) {
+    switch (entry.oldJlpt) {
+        case 4: return 'N5';
+        case 3: return 'N4';
+        case 2: return entry.frequency && entry.frequency <= 1000 ? 'N3' : 'N2';
+        default: return 'N1';
+    }
+}
+
+// Grades 1-6 are the primary school years and map straight onto levels 10-5.
+// Secondary school jouyou (grade 8) fills levels 4-2 by frequency, and
+// jinmeiyou (grades 9-10) is level 1.
+function mapLevel(entry) {
+    if (entry.grade >= 1 && entry.grade <= 6) return 11 - entry.grade;
+    if (entry.grade === 8) {
+        if (entry.frequency && entry.frequency <= 1200) return 4;
+        if (entry.frequency && entry.frequency <= 1800) return 3;
+        return 2;
+    }
+    return 1;
+}
+
+// Rough JLPT estimate for a word from JMdict's frequency tags: nfXX is the
+// word's rank in bands of 500 (nf02 = top 1000), ichi1/news1/spec1 mark common words
+function wordFrequencyJlpt(priorities) {
+    const nf = priorities.map(p => /^nf(\d+)$/.exec(p)).find(Boolean);
+    if (nf) {
+        const band = parseInt(nf[1]);
+        if (band <= 2) return 'N5';
+        if (band <= 6) return 'N4';
+        if (band <= 16) return 'N3';
+        if (band <= 30) return 'N2';
+        return 'N1';
+    }
+    if (priorities.some(p => ['ichi1', 'news1', 'spec1'].includes(p))) return 'N3';
+    return 'N1';
+}
+
+function harderJlpt(a, b) {
+    return JLPT_ORDER[Math.max(JLPT_ORDER.indexOf(a), JLPT_ORDER.indexOf(b))];
+}
+
+function wordScore(priorities) {
+    const nf = priorities.map(p => /^nf(\d+)$/.exec(p)).find(Boolean);
+    let score = nf ? parseInt(nf[1]) : 60;
+    if (priorities.includes('ichi1') || priorities.includes('news1') || priorities.includes('spec1')) score -= 10;
+    return score;
+}
+
+// Collect prioritised JMdict words for each wanted kanji
+async function readJmdict(file, wanted) {
+    const wordsByKanji = new Map();
+
+    await streamXml(file, new Set(['entry']), (name, entry) => {
+        const senses = findAll(entry, 'sense');
+        const glosses = senses.length ? findAll(senses[0], 'gloss').filter(g => !g.attributes['xml:lang'] || g.attributes['xml:lang'] === 'eng') : [];
+        if (!glosses.length) return;
+        const meaning = glosses.slice(0, 3).map(g => g.text).join(', ');
+
+        const readingElements = findAll(entry, 'r_ele');
+
+        for (const kanjiElement of findAll(entry, 'k_ele')) {
+            const word = findText(kanjiElement, 'keb');
+            const priorities = findAll(kanjiElement, 'ke_pri').map(p => p.text);
+            if (!word || !priorities.length) continue;
+
+            const readingElement = readingElements.find(r => {
+                const restrictions = findAll(r, 're_restr').map(x => x.text);
+                return !findAll(r, 're_nokanji').length && (!restrictions.length || restrictions.includes(word));
+            });
+            if (!readingElement) continue;
+
+            const candidate = { word, reading: findText(readingElement, 'reb'), meaning, priorities };
+            for (const character of new Set(word)) {
+                if (!wanted.has(character)) continue;
+                if (!wordsByKanji.has(character)) wordsByKanji.set(character, []);
+                wordsByKanji.get(character).push(candidate);
+            }
+        }
+    });
+
+    return wordsByKanji;
+}
+
+// A word is an on-reading compound if its reading contains one of the
+// kanji's on readings; otherwise treat it as a kun word
+function variationType(reading, onReadings) {
+    const hiragana = katakanaToHiragana(reading);
+    return onReadings.some(on => on && hiragana.includes(on.replace(/-/g, ''))) ? 'on' : 'kun';
+}
+
+function buildVariations(entry, candidates, jlptByCharacter, limit) {
+    const seen = new Set();
+    return (candidates || [])
+        .sort((a, b) => wordScore(a.priorities) - wordScore(b.priorities))
+        .filter(candidate => !seen.has(candidate.word) && seen.add(candidate.word))
+        .slice(0, limit)
+        .map(candidate => {
+            let jlpt = wordFrequencyJlpt(candidate.priorities);
+            for (const character of candidate.word) {
+                if (jlptByCharacter.has(character)) jlpt = harderJlpt(jlpt, jlptByCharacter.get(character));
+            }
+            return {
+                word: candidate.word,
+                reading: candidate.reading,
+                meaning: candidate.meaning,
+                type: variationType(candidate.reading, entry.onReadings),
+                jlpt
+            };
+        });
+}
+
+function enrichmentFields(entry) {
+    return {
+        strokeCount: entry.strokeCount,
+        radical: entry.radicalNumber ? radicalCharacter(entry.radicalNumber) : null,
+        radicalNumber: entry.radicalNumber,
+        grade: entry.grade,
+        frequency: entry.frequency
+    };
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    const backendDir = path.dirname(path.dirname(fileURLToPath(import.meta.url)));
+    const outFile = args.out || path.join(backendDir, 'data', 'kanji.json');
+
+    const dataset = JSON.parse(fs.readFileSync(outFile, 'utf8'));
+    const existingByCharacter = new Map(dataset.kanji.map(kanji => [kanji.character, kanji]));
+
+    console.log(`Reading ${args.kanjidic}...`);
+    const dictionary = [];
+    await streamXml(args.kanjidic, new Set(['character']), (name, node) => {
+        const entry = parseCharacter(node);
+        const isJouyou = entry.grade >= 1 && entry.grade <= 8;
+        const isJinmeiyou = entry.grade === 9 || entry.grade === 10;
+        if (existingByCharacter.has(entry.character) || isJouyou || (args.jinmeiyou && isJinmeiyou)) {
+            dictionary.push(entry);
+        }
+    });
+    const dictionaryByCharacter = new Map(dictionary.map(entry => [entry.character, entry]));
+
+    const jlptByCharacter = new Map(dictionary.map(entry => [entry.character, mapJlpt(entry)]));
+    for (const kanji of dataset.kanji) {
+        jlptByCharacter.set(kanji.character, kanji.jlpt);
+    }
+
+    console.log(`Reading ${args.jmdict}...`);
+    const wordsByKanji = await readJmdict(args.jmdict, new Set(dictionaryByCharacter.keys()));
+
+    let nextId = Math.max(0, ...dataset.kanji.map(kanji => kanji.id)) + 1;
+    const stats = { enriched: 0, regenerated: 0, added: 0, missing: [] };
+    const result = [];
+
+    // Existing entries first, in id order, so ids never move
+    for (const kanji of [...dataset.kanji].sort((a, b) => a.id - b.id)) {
+        const entry = dictionaryByCharacter.get(kanji.character);
+        if (!entry) {
+            stats.missing.push(kanji.character);
+            result.push(kanji);
+        } else if (kanji.source === SOURCE) {
+            result.push({
+                id: kanji.id,
+                character: kanji.character,
+                readings: entry.readings,
+                meanings: entry.meanings,
+                level: mapLevel(entry),
+                jlpt: mapJlpt(entry),
+                variations: buildVariations(entry, wordsByKanji.get(entry.character), jlptByCharacter, args.words),
+                ...enrichmentFields(entry),
+                components: kanji.components,
+                source: SOURCE
+            });
+            stats.regenerated++;
+        } else {
+            result.push({ ...kanji, ...enrichmentFields(entry) });
+            stats.enriched++;
+        }
+    }
+
+    // New kanji, easiest level first and most frequent first within a level
+    const newEntries = dictionary
+        .filter(entry => !existingByCharacter.has(entry.character))
+        .sort((a, b) => mapLevel(b) - mapLevel(a) || (a.frequency || Infinity) - (b.frequency || Infinity) || a.character.localeCompare(b.character));
+
+    for (const entry of newEntries) {
+        result.push({
+            id: nextId++,
+            character: entry.character,
+            readings: entry.readings,
+            meanings: entry.meanings,
+            level: mapLevel(entry),
+            jlpt: mapJlpt(entry),
+            variations: buildVariations(entry, wordsByKanji.get(entry.character), jlptByCharacter, args.words),
+            ...enrichmentFields(entry),
+            source: SOURCE
+        });
+        stats.added++;
+    }
+
+    console.log(`Enriched ${stats.enriched} hand-written kanji, regenerated ${stats.regenerated}, added ${stats.added} (${result.length} total)`);
+    if (stats.missing.length) {
+        console.log(`Not found in KANJIDIC2, left unchanged: ${stats.missing.join(' ')}`);
+    }
+
+    if (args.dryRun) return;
+
+    const output = { version: dataset.version, kanji: result };
+    const serialized = JSON.stringify(output, null, 2) + '\n';
+    if (JSON.stringify(dataset, null, 2) + '\n' === serialized) {
+        console.log('Dataset unchanged');
+        return;
+    }
+
+    output.version = dataset.version + 1;
+    fs.writeFileSync(outFile, JSON.stringify(output, null, 2) + '\n');
+    console.log(`Wrote ${outFile} (version ${output.version})`);
+}
+
+main().catch((error) => {
+    console.error(error.message);
+    process.exit(1);
+});
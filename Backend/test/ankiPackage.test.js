@@ -0,0 +1,41 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import JSZip from 'jszip';
+import { buildAnkiPackage } from '../ankiPackage.js';
+import { loadSqlJs } from '../db/sqlite/sqlJs.js';
+import { loadKanjiDataset } from '../kanjiDataset.js';
+
+const { kanji } = loadKanjiDataset();
+
+// The cards table of a built package, one object per card in note order
+async function readCards(apkg) {
+    const zip = await JSZip.loadAsync(apkg);
+    const SQL = await loadSqlJs();
+    const db = new SQL.Database(await zip.file('collection.anki2').async('uint8array'));
+    try {
+        const [result] = db.exec('SELECT type, queue, ivl, factor, reps, lapses FROM cards ORDER BY id');
+        return result.values.map(values => Object.fromEntries(result.columns.map((column, i) => [column, values[i]])));
+    } finally {
+        db.close();
+    }
+}
+
+test('cards carry the kanji\'s scheduling, lapses and suspension', async () => {
+    const now = Date.parse('2026-03-01T00:00:00.000Z');
+    const review = { total_reviews: 7, next_review: '2026-03-04T00:00:00.000Z', srs_interval: 6, ease_factor: 2.3, lapses: 2 };
+    const progressById = new Map([
+        [kanji[0].id, review],
+        [kanji[1].id, { ...review, lapses: 0, suspended: true }],
+        [kanji[2].id, { suspended: true }]
+    ]);
+
+    const apkg = await buildAnkiPackage({ kanji: kanji.slice(0, 4), progressById, customWordsByKanji: new Map(), jlptLevel: 'all', deckName: 'Kanjiten' }, now);
+    const cards = await readCards(apkg);
+
+    assert.deepEqual(cards, [
+        { type: 2, queue: 2, ivl: 6, factor: 2300, reps: 7, lapses: 2 },
+        { type: 2, queue: -1, ivl: 6, factor: 2300, reps: 7, lapses: 0 },
+        { type: 0, queue: -1, ivl: 0, factor: 0, reps: 0, lapses: 0 },
+        { type: 0, queue: 0, ivl: 0, factor: 0, reps: 0, lapses: 0 }
+    ]);
+});
@@ -0,0 +1,130 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { startApp } from './helpers/app.js';
+
+test('an exported archive imports again, leaving out kanji no longer in the dataset', async (t) => {
+    const { request, supabase } = await startApp(t);
+    const user = supabase.addUser();
+    supabase.insertRow('user_kanji_progress', { user_id: user.id, kanji_id: 1, in_review: true, total_reviews: 3, mnemonic: 'one line', version: 1 });
+    supabase.insertRow('user_kanji_progress', { user_id: user.id, kanji_id: 999999, in_review: true, total_reviews: 1, version: 1 });
+    supabase.insertRow('user_custom_words', { user_id: user.id, kanji_id: 999999, word: '謎' });
+    supabase.insertRow('review_log', { user_id: user.id, kanji_id: 1, grade: 3, reviewed_at: '2026-03-01T00:00:00.000Z' });
+    supabase.insertRow('review_log', { user_id: user.id, kanji_id: 999999, grade: 1, reviewed_at: '2026-03-02T00:00:00.000Z' });
+
+    const exported = await request('GET', '/export', { token: user.token });
+    assert.equal(exported.status, 200);
+    assert.deepEqual(exported.body.progress.map(entry => entry.kanjiId), [1]);
+    assert.equal(exported.body.customWords.length, 0);
+    assert.equal(exported.body.reviews.length, 1);
+
+    const dryRun = await request('POST', '/import?dryRun=true', { token: user.token, body: exported.body });
+    assert.equal(dryRun.status, 200);
+    assert.equal(dryRun.body.changes.reviews.duplicates, 1);
+
+    const other = supabase.addUser();
+    const imported = await request('POST', '/import', { token: other.token, body: exported.body });
+    assert.equal(imported.status, 200);
+    const [row] = supabase.rows('user_kanji_progress').filter(progress => progress.user_id === other.id);
+    assert.equal(row.kanji_id, 1);
+    assert.equal(row.total_reviews, 3);
+    assert.equal(row.mnemonic, 'one line');
+});
+
+test('per-word progress is exported and merged back by review count', async (t) => {
+    const { request, supabase } = await startApp(t);
+    const user = supabase.addUser();
+    supabase.insertRow('user_word_progress', { user_id: user.id, kanji_id: 1, word: '一つ', learned: true, srs_interval: 4, total_reviews: 5, next_review: '2026-03-05T00:00:00.000Z' });
+    supabase.insertRow('user_word_progress', { user_id: user.id, kanji_id: 1, word: '一人', total_reviews: 1 });
+
+    const exported = await request('GET', '/export', { token: user.token });
+    assert.equal(exported.body.version, 2);
+    assert.deepEqual(exported.body.wordProgress.map(entry => entry.word).sort(), ['一つ', '一人']);
+
+    const other = supabase.addUser();
+    supabase.insertRow('user_word_progress', { user_id: other.id, kanji_id: 1, word: '一人', total_reviews: 2 });
+    const imported = await request('POST', '/import', { token: other.token, body: exported.body });
+    assert.equal(imported.status, 200);
+    assert.deepEqual(imported.body.changes.wordProgress, { added: 1, updated: 0, unchanged: 1, skipped: 0 });
+
+    const rows = supabase.rows('user_word_progress').filter(row => row.user_id === other.id);
+    const added = rows.find(row => row.word === '一つ');
+    assert.equal(added.srs_interval, 4);
+    assert.equal(added.total_reviews, 5);
+    assert.equal(added.next_review, '2026-03-05T00:00:00.000Z');
+    assert.equal(rows.find(row => row.word === '一人').total_reviews, 2);
+
+    const invalid = await request('POST', '/import', { token: other.token, body: { ...exported.body, wordProgress: [{ kanjiId: 1, word: '' }] } });
+    assert.equal(invalid.status, 400);
+});
+
+test('reading and meaning progress is exported and merged back by review count', async (t) => {
+    const { request, supabase } = await startApp(t);
+    const user = supabase.addUser();
+    supabase.insertRow('user_facet_progress', { user_id: user.id, kanji_id: 1, facet: 'reading', srs_interval: 6, total_reviews: 4 });
+    supabase.insertRow('user_facet_progress', { user_id: user.id, kanji_id: 1, facet: 'meaning', srs_interval: 2, total_reviews: 1 });
+
+    const exported = await request('GET', '/export', { token: user.token });
+    assert.deepEqual(exported.body.facetProgress.map(entry => entry.facet).sort(), ['meaning', 'reading']);
+
+    const other = supabase.addUser();
+    supabase.insertRow('user_facet_progress', { user_id: other.id, kanji_id: 1, facet: 'reading', srs_interval: 1, total_reviews: 2 });
+    supabase.insertRow('user_facet_progress', { user_id: other.id, kanji_id: 1, facet: 'meaning', srs_interval: 9, total_reviews: 3 });
+    const imported = await request('POST', '/import', { token: other.token, body: exported.body });
+    assert.equal(imported.status, 200);
+    assert.deepEqual(imported.body.changes.facetProgress, { added: 0, updated: 1, unchanged: 1 });
+
+    const rows = supabase.rows('user_facet_progress').filter(row => row.user_id === other.id);
+    assert.equal(rows.find(row => row.facet === 'reading').srs_interval, 6);
+    assert.equal(rows.find(row => row.facet === 'meaning').srs_interval, 9);
+
+    const invalid = await request('POST', '/import', { token: other.token, body: { ...exported.body, facetProgress: [{ kanjiId: 1, facet: 'writing' }] } });
+    assert.equal(invalid.status, 400);
+});
+
+test('an import keeps an existing mnemonic even when the archive\'s reviews win', async (t) => {
+    const { request, supabase } = await startApp(t);
+    const user = supabase.addUser();
+    supabase.insertRow('user_kanji_progress', { user_id: user.id, kanji_id: 1, in_review: true, total_reviews: 1, mnemonic: 'mine', version: 1 });
+    supabase.insertRow('user_kanji_progress', { user_id: user.id, kanji_id: 2, in_review: true, total_reviews: 1, version: 1 });
+    const archive = {
+        format: 'kanjiten-archive',
+        version: 2,
+        progress: [
+            { kanjiId: 1, inReview: true, totalReviews: 9, interval: 12, mnemonic: 'theirs' },
+            { kanjiId: 2, inReview: true, totalReviews: 9, interval: 12, mnemonic: 'theirs' }
+        ]
+    };
+
+    const res = await request('POST', '/import', { token: user.token, body: archive });
+
+    assert.equal(res.status, 200);
+    const rows = supabase.rows('user_kanji_progress');
+    assert.equal(rows.find(row => row.kanji_id === 1).mnemonic, 'mine');
+    assert.equal(rows.find(row => row.kanji_id === 1).total_reviews, 9);
+    assert.equal(rows.find(row => row.kanji_id === 2).mnemonic, 'theirs');
+});
+
+test('progress for custom words skipped at the limit is not imported', async (t) => {
+    const { request, supabase } = await startApp(t);
+    const user = supabase.addUser();
+    for (const word of ['壱', '弐', '参']) {
+        supabase.insertRow('user_custom_words', { user_id: user.id, kanji_id: 1, word });
+    }
+    const archive = {
+        format: 'kanjiten-archive',
+        version: 2,
+        customWords: [{ kanjiId: 1, word: '肆' }],
+        wordProgress: [
+            { kanjiId: 1, word: '肆', totalReviews: 4 },
+            { kanjiId: 1, word: '壱', totalReviews: 4 },
+            { kanjiId: 1, word: '一つ', totalReviews: 4 }
+        ]
+    };
+
+    const res = await request('POST', '/import', { token: user.token, body: archive });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.changes.customWords.skipped, 1);
+    assert.deepEqual(res.body.changes.wordProgress, { added: 2, updated: 0, unchanged: 0, skipped: 1 });
+    assert.deepEqual(supabase.rows('user_word_progress').map(row => row.word).sort(), ['一つ', '壱'].sort());
+});
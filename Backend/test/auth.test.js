@@ -0,0 +1,117 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { startApp } from './helpers/app.js';
+
+test('protected routes reject a missing token', async (t) => {
+    const { request } = await startApp(t);
+
+    const res = await request('GET', '/progress');
+
+    assert.equal(res.status, 401);
+    assert.equal(res.body.error, 'Access token required');
+});
+
+test('protected routes reject an unknown or expired token', async (t) => {
+    const { request } = await startApp(t);
+
+    const res = await request('GET', '/settings', { token: 'not-a-session' });
+
+    assert.equal(res.status, 401);
+    assert.equal(res.body.error, 'Invalid or expired session');
+});
+
+test('a valid token without a profile is a server error, not a sign-in', async (t) => {
+    const { supabase, request } = await startApp(t);
+    const user = supabase.addUser({ profile: false });
+
+    const res = await request('GET', '/auth/verify', { token: user.token });
+
+    assert.equal(res.status, 500);
+    assert.equal(res.body.error, 'Failed to get user profile');
+});
+
+test('a failing profile lookup is a server error', async (t) => {
+    const { supabase, request } = await startApp(t);
+    const user = supabase.addUser();
+    supabase.failNext('profiles', 'select');
+
+    const res = await request('GET', '/streak', { token: user.token });
+
+    assert.equal(res.status, 500);
+});
+
+test('verify returns the signed-in user', async (t) => {
+    const { supabase, request } = await startApp(t);
+    const user = supabase.addUser({ username: 'guest_123', email: 'guest@example.com' });
+
+    const res = await request('GET', '/auth/verify', { token: user.token });
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.user, { id: user.id, username: 'guest_123', email: 'guest@example.com', isAnonymous: true });
+});
+
+test('register validates its fields', async (t) => {
+    const { request } = await startApp(t);
+
+    const missing = await request('POST', '/auth/register', { body: { username: 'alice' } });
+    assert.equal(missing.status, 400);
+    assert.equal(missing.body.error, 'All fields are required');
+
+    const shortName = await request('POST', '/auth/register', { body: { username: 'al', email: 'a@example.com', password: 'Passw0rd!' } });
+    assert.equal(shortName.status, 400);
+    assert.equal(shortName.body.error, 'Username must be 3-50 characters');
+
+    const weak = await request('POST', '/auth/register', { body: { username: 'alice', email: 'a@example.com', password: 'password' } });
+    assert.equal(weak.status, 400);
+    assert.match(weak.body.error, /^Password must be/);
+});
+
+test('register rejects a taken username and creates the account otherwise', async (t) => {
+    const { supabase, request } = await startApp(t);
+    supabase.addUser({ username: 'alice' });
+
+    const taken = await request('POST', '/auth/register', { body: { username: 'alice', email: 'new@example.com', password: 'Passw0rd!' } });
+    assert.equal(taken.status, 400);
+    assert.equal(taken.body.error, 'Username already exists');
+
+    const created = await request('POST', '/auth/register', { body: { username: 'bob', email: 'bob@example.com', password: 'Passw0rd!' } });
+    assert.equal(created.status, 200);
+    assert.equal(created.body.user.username, 'bob');
+    assert.ok(created.body.session.access_token);
+
+    const duplicateEmail = await request('POST', '/auth/register', { body: { username: 'carol', email: 'bob@example.com', password: 'Passw0rd!' } });
+    assert.equal(duplicateEmail.status, 400);
+    assert.equal(duplicateEmail.body.error, 'User already registered');
+});
+
+test('register reports when the email still needs confirming', async (t) => {
+    const { request } = await startApp(t);
+    const credentials = { email: 'dan@unconfirmed.test', password: 'Passw0rd!' };
+
+    const res = await request('POST', '/auth/register', { body: { username: 'dan', ...credentials } });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.needsConfirmation, true);
+
+    const check = await request('POST', '/auth/check-confirmation', { body: credentials });
+    assert.equal(check.body.success, false);
+    assert.equal(check.body.needsConfirmation, true);
+});
+
+test('login rejects bad credentials and signs in with good ones', async (t) => {
+    const { supabase, request } = await startApp(t);
+    supabase.addUser({ email: 'erin@example.com', password: 'Passw0rd!', username: 'erin' });
+
+    const missing = await request('POST', '/auth/login', { body: { email: 'erin@example.com' } });
+    assert.equal(missing.status, 400);
+
+    const wrong = await request('POST', '/auth/login', { body: { email: 'erin@example.com', password: 'nope' } });
+    assert.equal(wrong.status, 401);
+    assert.equal(wrong.body.error, 'Invalid credentials');
+
+    const ok = await request('POST', '/auth/login', { body: { email: 'erin@example.com', password: 'Passw0rd!' } });
+    assert.equal(ok.status, 200);
+    assert.equal(ok.body.user.username, 'erin');
+
+    const verify = await request('GET', '/auth/verify', { token: ok.body.session.access_token });
+    assert.equal(verify.status, 200);
+});
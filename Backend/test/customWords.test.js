@@ -0,0 +1,85 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { startApp } from './helpers/app.js';
+
+const word = (text, kanjiId = 1) => ({ kanjiId, word: text, reading: 'よみ', meaning: 'meaning', wordType: 'noun', jlptLevel: 'N5' });
+
+test('a kanji takes at most three custom words', async (t) => {
+    const { request, supabase } = await startApp(t);
+    const user = supabase.addUser();
+
+    for (const text of ['一つ', '一人', '一月']) {
+        const res = await request('POST', '/custom-words', { token: user.token, body: word(text) });
+        assert.equal(res.status, 200);
+        assert.equal(res.body.word.word, text);
+        assert.equal(res.body.word.kanji_id, 1);
+    }
+
+    const fourth = await request('POST', '/custom-words', { token: user.token, body: word('一日') });
+    assert.equal(fourth.status, 400);
+    assert.equal(fourth.body.error, 'Maximum 3 custom words per kanji');
+
+    // The limit is per kanji and per user
+    const otherKanji = await request('POST', '/custom-words', { token: user.token, body: word('二つ', 2) });
+    assert.equal(otherKanji.status, 200);
+
+    const otherUser = supabase.addUser();
+    const theirs = await request('POST', '/custom-words', { token: otherUser.token, body: word('一日') });
+    assert.equal(theirs.status, 200);
+});
+
+test('listing returns only the user\'s words for that kanji, oldest first', async (t) => {
+    const { request, supabase } = await startApp(t);
+    const user = supabase.addUser();
+    const other = supabase.addUser();
+    supabase.insertRow('user_custom_words', { user_id: user.id, kanji_id: 1, word: 'second', created_at: '2026-01-02T00:00:00Z' });
+    supabase.insertRow('user_custom_words', { user_id: user.id, kanji_id: 1, word: 'first', created_at: '2026-01-01T00:00:00Z' });
+    supabase.insertRow('user_custom_words', { user_id: user.id, kanji_id: 2, word: 'other kanji' });
+    supabase.insertRow('user_custom_words', { user_id: other.id, kanji_id: 1, word: 'other user' });
+
+    const res = await request('GET', '/custom-words/1', { token: user.token });
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.words.map(row => row.word), ['first', 'second']);
+});
+
+test('deleting only removes the user\'s own word', async (t) => {
+    const { request, supabase } = await startApp(t);
+    const user = supabase.addUser();
+    const other = supabase.addUser();
+    const mine = supabase.insertRow('user_custom_words', { user_id: user.id, kanji_id: 1, word: 'mine' });
+    const theirs = supabase.insertRow('user_custom_words', { user_id: other.id, kanji_id: 1, word: 'theirs' });
+
+    const blocked = await request('DELETE', `/custom-words/${theirs.id}`, { token: user.token });
+    assert.equal(blocked.status, 200);
+    assert.equal(supabase.rows('user_custom_words').length, 2);
+
+    await request('DELETE', `/custom-words/${mine.id}`, { token: user.token });
+    assert.deepEqual(supabase.rows('user_custom_words').map(row => row.word), ['theirs']);
+});
+
+test('a failing word count stops the insert', async (t) => {
+    const { request, supabase } = await startApp(t);
+    const user = supabase.addUser();
+    supabase.failNext('user_custom_words', 'select');
+
+    const res = await request('POST', '/custom-words', { token: user.token, body: word('一つ') });
+
+    assert.equal(res.status, 500);
+    assert.equal(res.body.error, 'Failed to check word count');
+    assert.equal(supabase.rows('user_custom_words').length, 0);
+});
+
+test('listing without a kanji returns all of the user\'s words', async (t) => {
+    const { request, supabase } = await startApp(t);
+    const user = supabase.addUser();
+    const other = supabase.addUser();
+    supabase.insertRow('user_custom_words', { user_id: user.id, kanji_id: 1, word: '一つ' });
+    supabase.insertRow('user_custom_words', { user_id: user.id, kanji_id: 2, word: '二つ' });
+    supabase.insertRow('user_custom_words', { user_id: other.id, kanji_id: 1, word: 'other user' });
+
+    const res = await request('GET', '/custom-words', { token: user.token });
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.words.map(row => row.word).sort(), ['一つ', '二つ']);
+});
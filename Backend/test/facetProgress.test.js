@@ -0,0 +1,80 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { startApp } from './helpers/app.js';
+
+async function setup(t) {
+    const { request, supabase } = await startApp(t);
+    const user = supabase.addUser();
+    return { request, supabase, user };
+}
+
+const answer = (request, user, body, kanjiId = 1) =>
+    request('POST', `/facet-progress/${kanjiId}/answer`, { token: user.token, body: { grade: 3, ...body } });
+
+test('facet answers are validated', async (t) => {
+    const { request, user } = await setup(t);
+
+    const badKanji = await answer(request, user, { facet: 'reading' }, 999999);
+    assert.equal(badKanji.status, 400);
+    assert.equal(badKanji.body.error, 'Invalid kanji id');
+
+    const badFacet = await answer(request, user, { facet: 'writing' });
+    assert.equal(badFacet.status, 400);
+    assert.equal(badFacet.body.error, 'Facet must be "reading" or "meaning"');
+
+    const badGrade = await answer(request, user, { facet: 'meaning', grade: 5 });
+    assert.equal(badGrade.status, 400);
+});
+
+test('reading and meaning keep their own schedules apart from the kanji', async (t) => {
+    const { request, supabase, user } = await setup(t);
+    supabase.insertRow('user_kanji_progress', { user_id: user.id, kanji_id: 1, in_review: true, srs_interval: 10, total_reviews: 4, version: 2 });
+
+    await answer(request, user, { facet: 'reading', grade: 4, answeredAt: '2026-03-01T00:00:00.000Z' });
+    await answer(request, user, { facet: 'reading', grade: 4, answeredAt: '2026-03-02T00:00:00.000Z' });
+    const res = await answer(request, user, { facet: 'meaning', grade: 1, word: '一つ', questionMode: 'meaning', answeredAt: '2026-03-02T00:00:00.000Z' });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.facetProgress.facet, 'meaning');
+    const facets = new Map(supabase.rows('user_facet_progress').map(row => [row.facet, row]));
+    assert.equal(facets.get('reading').total_reviews, 2);
+    assert.equal(facets.get('meaning').total_reviews, 1);
+    assert.ok(facets.get('reading').next_review > facets.get('meaning').next_review);
+
+    const [kanji] = supabase.rows('user_kanji_progress');
+    assert.equal(kanji.total_reviews, 4);
+    assert.equal(kanji.version, 2);
+
+    const logged = supabase.rows('review_log').at(-1);
+    assert.equal(logged.facet, 'meaning');
+    assert.equal(logged.word, '一つ');
+    assert.equal(logged.new_card, false);
+});
+
+test('a replayed facet answer older than the stored one is only logged', async (t) => {
+    const { request, supabase, user } = await setup(t);
+    await answer(request, user, { facet: 'reading', answeredAt: '2026-03-05T00:00:00.000Z' });
+
+    const res = await answer(request, user, { facet: 'reading', grade: 1, answeredAt: '2026-03-04T00:00:00.000Z' });
+
+    assert.equal(res.body.stale, true);
+    assert.equal(supabase.rows('user_facet_progress')[0].total_reviews, 1);
+    assert.equal(supabase.rows('review_log').length, 2);
+});
+
+test('a kanji and its facets count as separate reviews for the day', async (t) => {
+    const { request, supabase, user } = await setup(t);
+    supabase.insertRow('user_kanji_progress', { user_id: user.id, kanji_id: 1, in_review: true, total_reviews: 3, version: 1 });
+
+    await request('POST', '/progress/1/answer', { token: user.token, body: { grade: 3 } });
+    await answer(request, user, { facet: 'reading' });
+    await answer(request, user, { facet: 'reading' });
+    await answer(request, user, { facet: 'meaning' });
+
+    const res = await request('GET', '/reviews/today', { token: user.token });
+    assert.equal(res.body.today.newStudied, 0);
+    assert.equal(res.body.today.reviewsDone, 3);
+
+    const list = await request('GET', '/facet-progress', { token: user.token });
+    assert.deepEqual(list.body.progress.map(row => row.facet).sort(), ['meaning', 'reading']);
+});
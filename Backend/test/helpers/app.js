@@ -0,0 +1,47 @@
+// Runs the real app in-process against a fresh fake Supabase client and makes
+// requests to it over HTTP. Each call gets its own app, so rate limits and data
+// never carry over between tests.
+
+import { createApp } from '../../app.js';
+import { createSupabaseDb } from '../../db/index.js';
+import { createSupabaseAuth } from '../../auth/index.js';
+import { loadKanjiDataset } from '../../kanjiDataset.js';
+import { createFakeSupabase } from './fakeSupabase.js';
+
+// Keep the request log out of the test output
+process.env.NODE_ENV = 'test';
+
+const kanjiDataset = loadKanjiDataset();
+
+export async function startApp(t) {
+    const supabase = createFakeSupabase();
+    const app = createApp({
+        db: createSupabaseDb(supabase),
+        auth: createSupabaseAuth(supabase, supabase),
+        kanjiDataset
+    });
+
+    const server = await new Promise((resolve) => {
+        const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+    t.after(() => new Promise(resolve => server.close(resolve)));
+
+    const baseUrl = `http://127.0.0.1:${server.address().port}/api`;
+
+    // Resolves to { status, body } with the JSON body parsed
+    async function request(method, path, { token, body, headers = {} } = {}) {
+        const response = await fetch(baseUrl + path, {
+            method,
+            headers: {
+                ...(body !== undefined && { 'Content-Type': 'application/json' }),
+                ...(token && { Authorization: `Bearer ${token}` }),
+                ...headers
+            },
+            body: body !== undefined ? JSON.stringify(body) : undefined
+        });
+        const text = await response.text();
+        return { status: response.status, body: text ? JSON.parse(text) : null };
+    }
+
+    return { supabase, request };
+}
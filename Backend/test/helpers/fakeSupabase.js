@@ -0,0 +1,274 @@
+// An in-memory stand-in for the supabase-js client, covering the query builder
+// calls the Supabase stores make and the auth calls createSupabaseAuth makes.
+// Results come back as { data, error, count } like the real client, including
+// PostgREST's PGRST116 error when .single() finds no row.
+
+const NO_ROWS = { code: 'PGRST116', message: 'JSON object requested, multiple (or no) rows returned' };
+
+// Primary keys, used when an upsert has no onConflict
+const PRIMARY_KEYS = {
+    profiles: ['id'],
+    user_kanji_progress: ['user_id', 'kanji_id'],
+    user_streaks: ['user_id'],
+    user_settings: ['user_id'],
+    user_custom_words: ['id'],
+    review_log: ['id'],
+    user_word_progress: ['user_id', 'kanji_id', 'word'],
+    user_facet_progress: ['user_id', 'kanji_id', 'facet']
+};
+
+// Tables with a serial id and created_at default
+const SERIAL_TABLES = new Set(['user_custom_words', 'review_log']);
+
+function project(row, columns) {
+    if (!columns || columns.trim() === '*') return { ...row };
+    return Object.fromEntries(columns.split(',').map(column => column.trim()).map(column => [column, row[column] ?? null]));
+}
+
+// Rows are sent as JSON, which drops undefined fields
+const asSent = row => JSON.parse(JSON.stringify(row));
+
+// PostgREST compares the filter value as text
+const sameValue = (a, b) => String(a) === String(b);
+
+class Query {
+    constructor(fake, table) {
+        this.fake = fake;
+        this.table = table;
+        this.action = 'select';
+        this.columns = '*';
+        this.returning = false;
+        this.filters = [];
+        this.ordering = null;
+        this.window = null;
+        this.countOnly = false;
+        this.wantSingle = false;
+    }
+
+    select(columns = '*', options = {}) {
+        if (this.action === 'select') {
+            this.countOnly = options.count === 'exact' && options.head === true;
+        } else {
+            this.returning = true;
+        }
+        this.columns = columns;
+        return this;
+    }
+
+    insert(rows) {
+        this.action = 'insert';
+        this.payload = [rows].flat();
+        return this;
+    }
+
+    upsert(rows, options = {}) {
+        this.action = 'upsert';
+        this.payload = [rows].flat();
+        this.conflictColumns = options.onConflict ? options.onConflict.split(',') : PRIMARY_KEYS[this.table];
+        return this;
+    }
+
+    update(fields) {
+        this.action = 'update';
+        this.payload = fields;
+        return this;
+    }
+
+    delete() {
+        this.action = 'delete';
+        return this;
+    }
+
+    eq(column, value) {
+        this.filters.push(row => sameValue(row[column], value));
+        return this;
+    }
+
+    in(column, values) {
+        this.filters.push(row => values.some(value => sameValue(row[column], value)));
+        return this;
+    }
+
+    gte(column, value) {
+        this.filters.push(row => row[column] >= value);
+        return this;
+    }
+
+    order(column, { ascending = true } = {}) {
+        this.ordering = { column, ascending };
+        return this;
+    }
+
+    limit(count) {
+        this.window = [0, count - 1];
+        return this;
+    }
+
+    range(from, to) {
+        this.window = [from, to];
+        return this;
+    }
+
+    single() {
+        this.wantSingle = true;
+        return this;
+    }
+
+    then(resolve, reject) {
+        return Promise.resolve().then(() => this.run()).then(resolve, reject);
+    }
+
+    run() {
+        const error = this.fake.takeFailure(this.table, this.action);
+        if (error) return { data: null, error, count: null };
+
+        const rows = this.fake.rows(this.table);
+        let result;
+
+        if (this.action === 'select') {
+            result = rows.filter(row => this.filters.every(filter => filter(row)));
+            if (this.countOnly) return { data: null, error: null, count: result.length };
+        } else if (this.action === 'insert') {
+            result = this.payload.map(row => this.fake.insertRow(this.table, row));
+        } else if (this.action === 'upsert') {
+            result = this.payload.map((row) => {
+                const existing = rows.find(stored => this.conflictColumns.every(column => sameValue(stored[column], row[column])));
+                if (!existing) return this.fake.insertRow(this.table, row);
+                return Object.assign(existing, asSent(row));
+            });
+        } else if (this.action === 'update') {
+            result = rows.filter(row => this.filters.every(filter => filter(row)));
+            result.forEach(row => Object.assign(row, asSent(this.payload)));
+        } else {
+            result = rows.filter(row => this.filters.every(filter => filter(row)));
+            this.fake.tables.set(this.table, rows.filter(row => !result.includes(row)));
+        }
+
+        if (this.action !== 'select' && !this.returning) {
+            return { data: null, error: null, count: null };
+        }
+
+        if (this.ordering) {
+            const { column, ascending } = this.ordering;
+            result = [...result].sort((a, b) => (a[column] > b[column] ? 1 : a[column] < b[column] ? -1 : 0) * (ascending ? 1 : -1));
+        }
+        if (this.window) {
+            result = result.slice(this.window[0], this.window[1] + 1);
+        }
+
+        const data = result.map(row => project(structuredClone(row), this.columns));
+        if (this.wantSingle) {
+            return data.length === 1 ? { data: data[0], error: null, count: null } : { data: null, error: NO_ROWS, count: null };
+        }
+        return { data, error: null, count: null };
+    }
+}
+
+export function createFakeSupabase() {
+    const users = new Map(); // id -> { id, email, password, confirmed }
+    const sessions = new Map(); // access token -> user id
+    const failures = [];
+    let nextId = 1;
+
+    const fake = {
+        tables: new Map(),
+
+        rows(table) {
+            if (!this.tables.has(table)) this.tables.set(table, []);
+            return this.tables.get(table);
+        },
+
+        insertRow(table, row) {
+            const stored = asSent(row);
+            if (SERIAL_TABLES.has(table)) {
+                stored.id ??= nextId++;
+                stored.created_at ??= new Date().toISOString();
+            }
+            this.rows(table).push(stored);
+            return stored;
+        },
+
+        // Make the next matching query on a table fail, e.g. failNext('user_streaks', 'upsert')
+        failNext(table, action = null, error = { message: 'Simulated database failure', code: 'XX000' }) {
+            failures.push({ table, action, error });
+        },
+
+        takeFailure(table, action) {
+            const index = failures.findIndex(failure => failure.table === table && (!failure.action || failure.action === action));
+            return index === -1 ? null : failures.splice(index, 1)[0].error;
+        },
+
+        // A signed-in user with a profile; returns the access token
+        addUser({ id = `user-${nextId++}`, email = `${id}@example.com`, password = 'Passw0rd!', username = id, isAnonymous = false, profile = true } = {}) {
+            users.set(id, { id, email, password, confirmed: true });
+            if (profile) this.insertRow('profiles', { id, username, is_anonymous: isAnonymous });
+            const token = `token-${id}`;
+            sessions.set(token, id);
+            return { id, email, token };
+        },
+
+        from(table) {
+            return new Query(this, table);
+        },
+
+        auth: {
+            async getUser(token) {
+                const user = users.get(sessions.get(token));
+                return user
+                    ? { data: { user: { id: user.id, email: user.email } }, error: null }
+                    : { data: { user: null }, error: { message: 'invalid JWT' } };
+            },
+
+            // Mirrors the signup trigger: the profile takes the username from metadata.
+            // Emails ending in @unconfirmed.test need confirming before sign-in.
+            async signUp({ email, password, options = {} }) {
+                if ([...users.values()].some(user => user.email === email)) {
+                    return { data: { user: null, session: null }, error: { message: 'User already registered' } };
+                }
+                const id = `user-${nextId++}`;
+                const confirmed = !email.endsWith('@unconfirmed.test');
+                users.set(id, { id, email, password, confirmed });
+                fake.insertRow('profiles', {
+                    id,
+                    username: options.data?.username,
+                    is_anonymous: Boolean(options.data?.is_anonymous)
+                });
+
+                const user = { id, email };
+                return { data: { user, session: confirmed ? fake.createSession(id) : null }, error: null };
+            },
+
+            async signInWithPassword({ email, password }) {
+                const user = [...users.values()].find(candidate => candidate.email === email && candidate.password === password);
+                if (!user) return { data: { user: null, session: null }, error: { message: 'Invalid login credentials' } };
+                if (!user.confirmed) return { data: { user: null, session: null }, error: { message: 'Email not confirmed' } };
+                return { data: { user: { id: user.id, email }, session: fake.createSession(user.id) }, error: null };
+            },
+
+            async resend() {
+                return { error: null };
+            },
+
+            async signOut() {
+                return { error: null };
+            },
+
+            admin: {
+                async updateUserById(id, { email, password }) {
+                    const user = users.get(id);
+                    if (!user) return { error: { message: 'User not found' } };
+                    Object.assign(user, { email, password });
+                    return { data: { user }, error: null };
+                }
+            }
+        },
+
+        createSession(userId) {
+            const token = `token-${userId}-${sessions.size}`;
+            sessions.set(token, userId);
+            return { access_token: token, token_type: 'bearer' };
+        }
+    };
+
+    return fake;
+}
@@ -0,0 +1,19 @@
+// Pulls functions out of frontend/index.html so the browser code can run in a
+// vm context with stubs for the rest of the page.
+
+import { readFileSync } from 'fs';
+
+const page = readFileSync(new URL('../../../frontend/index.html', import.meta.url), 'utf8');
+
+// The source of a top-level function declaration, async included
+export function extractFunction(name) {
+    let start = page.indexOf(`function ${name}(`);
+    if (start === -1) throw new Error(`${name} not found in index.html`);
+    if (page.slice(start - 6, start) === 'async ') start -= 6;
+    let depth = 0;
+    for (let i = page.indexOf(') {', start) + 2; i < page.length; i++) {
+        if (page[i] === '{') depth++;
+        if (page[i] === '}' && --depth === 0) return page.slice(start, i + 1);
+    }
+    throw new Error(`${name} is not closed`);
+}
@@ -0,0 +1,116 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { startApp } from './helpers/app.js';
+
+async function setup(t, settings = null) {
+    const { request, supabase } = await startApp(t);
+    const user = supabase.addUser();
+    if (settings) supabase.insertRow('user_settings', { user_id: user.id, ...settings });
+    return { request, supabase, user };
+}
+
+const answer = (request, user, grade, kanjiId = 1) =>
+    request('POST', `/progress/${kanjiId}/answer`, { token: user.token, body: { grade } });
+
+const bulkUpdate = (request, user, progressData, kanjiId = 1) =>
+    request('POST', '/progress/bulk-update', { token: user.token, body: { kanjiProgressData: [[kanjiId, progressData]] } });
+
+test('wrong answers to a reviewed kanji count as lapses until it is a leech', async (t) => {
+    const { request, supabase, user } = await setup(t, { leech_threshold: 3 });
+
+    // A new kanji missed on its first answer has not lapsed yet
+    await answer(request, user, 1);
+    await answer(request, user, 3);
+    await answer(request, user, 1);
+    const before = await answer(request, user, 2);
+    assert.equal(before.body.progress.lapses, 2);
+    assert.equal(before.body.progress.leech, false);
+
+    const res = await answer(request, user, 1);
+
+    assert.equal(res.body.progress.lapses, 3);
+    assert.equal(res.body.progress.leech, true);
+    // The default action only tags the kanji
+    assert.equal(res.body.progress.suspended, false);
+    assert.equal(supabase.rows('user_kanji_progress')[0].in_review, true);
+});
+
+test('the suspend action suspends a leech again if it keeps failing after being unsuspended', async (t) => {
+    const { request, supabase, user } = await setup(t, { leech_threshold: 4, leech_action: 'suspend' });
+    supabase.insertRow('user_kanji_progress', { user_id: user.id, kanji_id: 1, in_review: true, total_reviews: 10, lapses: 3, version: 1 });
+
+    const flagged = await answer(request, user, 1);
+    assert.equal(flagged.body.progress.leech, true);
+    assert.equal(flagged.body.progress.suspended, true);
+    assert.ok(flagged.body.progress.field_updated_at.suspended);
+
+    const unsuspended = await bulkUpdate(request, user, { inReview: true, suspended: false });
+    assert.equal(unsuspended.status, 200);
+    assert.equal(supabase.rows('user_kanji_progress')[0].suspended, false);
+
+    // Every half threshold after the first
+    const fifth = await answer(request, user, 1);
+    assert.equal(fifth.body.progress.suspended, false);
+    const sixth = await answer(request, user, 1);
+    assert.equal(sixth.body.progress.lapses, 6);
+    assert.equal(sixth.body.progress.suspended, true);
+    assert.equal(sixth.body.progress.leech, true);
+});
+
+test('bulk updates without the suspended field leave it alone, and older ones lose to newer', async (t) => {
+    const { request, supabase, user } = await setup(t);
+    supabase.insertRow('user_kanji_progress', {
+        user_id: user.id,
+        kanji_id: 1,
+        in_review: true,
+        suspended: true,
+        field_updated_at: { suspended: '2026-02-01T00:00:00.000Z' },
+        version: 1
+    });
+
+    await bulkUpdate(request, user, { inReview: true, mnemonic: 'a leech no more' });
+    assert.equal(supabase.rows('user_kanji_progress')[0].suspended, true);
+
+    const older = await bulkUpdate(request, user, { inReview: true, suspended: false, updatedAt: { suspended: '2026-01-01T00:00:00.000Z' } });
+    assert.equal(older.body.skipped, 1);
+    assert.equal(supabase.rows('user_kanji_progress')[0].suspended, true);
+
+    await request('POST', '/progress/update', { token: user.token, body: { kanji_id: 1, in_review: true, suspended: false } });
+    assert.equal(supabase.rows('user_kanji_progress')[0].suspended, false);
+});
+
+test('a missed word counts as a lapse of its kanji', async (t) => {
+    const { request, supabase, user } = await setup(t, { leech_threshold: 1, leech_action: 'suspend' });
+    const answerWord = (word, grade) =>
+        request('POST', '/word-progress/1/answer', { token: user.token, body: { word, grade } });
+
+    await answerWord('一つ', 3);
+    // A word seen for the first time has not lapsed, even if its kanji was reviewed
+    const first = await answerWord('一人', 1);
+    assert.equal(first.body.progress.lapses, 0);
+
+    const res = await answerWord('一つ', 1);
+
+    assert.equal(res.body.progress.lapses, 1);
+    assert.equal(res.body.progress.suspended, true);
+});
+
+test('leech settings are validated and saved', async (t) => {
+    const { request, supabase, user } = await setup(t);
+
+    const action = await request('PUT', '/settings', { token: user.token, body: { leechAction: 'delete' } });
+    assert.equal(action.status, 400);
+    assert.match(action.body.error, /Invalid leech action/);
+
+    for (const leechThreshold of [0, 2.5, '8']) {
+        const threshold = await request('PUT', '/settings', { token: user.token, body: { leechThreshold } });
+        assert.equal(threshold.status, 400);
+    }
+    assert.equal(supabase.rows('user_settings').length, 0);
+
+    await request('PUT', '/settings', { token: user.token, body: { leechThreshold: 5, leechAction: 'suspend' } });
+
+    const res = await request('GET', '/settings', { token: user.token });
+    assert.equal(res.body.settings.leechThreshold, 5);
+    assert.equal(res.body.settings.leechAction, 'suspend');
+});
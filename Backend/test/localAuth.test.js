@@ -0,0 +1,76 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import jwt from 'jsonwebtoken';
+import { createSqliteDb } from '../db/index.js';
+import { createLocalAuth, AuthError } from '../auth/index.js';
+
+const SECRET = 'test-secret';
+
+async function setup(t, options = {}) {
+    const db = await createSqliteDb(':memory:');
+    t.after(() => db.database.close());
+    return { db, auth: createLocalAuth(db.database, { secret: SECRET, ...options }) };
+}
+
+test('local auth needs a secret', async (t) => {
+    const db = await createSqliteDb(':memory:');
+    t.after(() => db.database.close());
+    assert.throws(() => createLocalAuth(db.database, {}), /JWT secret/);
+});
+
+test('sign-up creates the user and profile and returns a session', async (t) => {
+    const { db, auth } = await setup(t);
+
+    const { user, session } = await auth.signUp({ email: 'alice@example.com', password: 'hunter22', username: 'alice' });
+
+    assert.equal(session.token_type, 'bearer');
+    assert.equal(session.user, user);
+    assert.equal(jwt.verify(session.access_token, SECRET).sub, user.id);
+    const profile = await db.profiles.get(user.id);
+    assert.equal(profile.username, 'alice');
+    assert.equal(profile.is_anonymous, false);
+    // Only the hash is stored
+    assert.match(db.database.get('SELECT password_hash FROM users WHERE id = ?', [user.id]).password_hash, /^scrypt\$/);
+
+    await assert.rejects(auth.signUp({ email: 'alice@example.com', password: 'other', username: 'alice2' }),
+        error => error instanceof AuthError && error.code === 'user_already_exists');
+    assert.equal(await db.profiles.count(), 1);
+});
+
+test('sign-in checks the password', async (t) => {
+    const { auth } = await setup(t);
+    const { user } = await auth.signUp({ email: 'alice@example.com', password: 'hunter22', username: 'alice' });
+
+    const signedIn = await auth.signIn('alice@example.com', 'hunter22');
+    assert.deepEqual(signedIn.user, user);
+    assert.deepEqual(await auth.getUser(signedIn.session.access_token), user);
+
+    for (const [email, password] of [['alice@example.com', 'wrong'], ['bob@example.com', 'hunter22']]) {
+        await assert.rejects(auth.signIn(email, password), error => error instanceof AuthError && error.code === 'invalid_credentials');
+    }
+});
+
+test('tokens that are forged, expired or for a deleted user are refused', async (t) => {
+    const { db, auth } = await setup(t);
+    const { user, session } = await auth.signUp({ email: 'alice@example.com', password: 'hunter22', username: 'alice' });
+
+    assert.equal(await auth.getUser(jwt.sign({ sub: user.id }, 'another-secret')), null);
+    assert.equal(await auth.getUser(jwt.sign({ sub: user.id }, SECRET, { expiresIn: -10 })), null);
+    assert.equal(await auth.getUser('not a token'), null);
+
+    db.database.write('DELETE FROM users WHERE id = ? RETURNING id', [user.id]);
+    assert.equal(await auth.getUser(session.access_token), null);
+});
+
+test('credentials can be changed, but not to another user\'s email', async (t) => {
+    const { auth } = await setup(t);
+    const { user } = await auth.signUp({ email: 'anon@example.com', password: 'random', username: 'guest', isAnonymous: true });
+    await auth.signUp({ email: 'bob@example.com', password: 'hunter22', username: 'bob' });
+
+    await assert.rejects(auth.setCredentials(user.id, { email: 'bob@example.com', password: 'new-password' }),
+        error => error instanceof AuthError && error.code === 'email_exists');
+
+    await auth.setCredentials(user.id, { email: 'alice@example.com', password: 'new-password' });
+    assert.equal((await auth.signIn('alice@example.com', 'new-password')).user.id, user.id);
+    await assert.rejects(auth.signIn('anon@example.com', 'random'), AuthError);
+});
@@ -0,0 +1,205 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { startApp } from './helpers/app.js';
+
+async function setup(t) {
+    const { request, supabase } = await startApp(t);
+    const user = supabase.addUser();
+    return { request, supabase, user };
+}
+
+test('bulk update validates its body', async (t) => {
+    const { request, user } = await setup(t);
+
+    const res = await request('POST', '/progress/bulk-update', { token: user.token, body: { kanjiProgressData: 'nope' } });
+
+    assert.equal(res.status, 400);
+    assert.equal(res.body.error, 'Invalid kanji progress data');
+});
+
+test('bulk update rejects malformed entries before touching the database', async (t) => {
+    const { request, supabase, user } = await setup(t);
+
+    for (const entry of [[1, null], ['abc', { inReview: true }], [999999, { inReview: true }], [0, {}], [1.5, {}], [1, [true]], 1]) {
+        const res = await request('POST', '/progress/bulk-update', {
+            token: user.token,
+            body: { kanjiProgressData: [[2, { inReview: true }], entry] }
+        });
+        assert.equal(res.status, 400, JSON.stringify(entry));
+        assert.equal(res.body.error, 'Invalid kanji progress data at index 1');
+    }
+    assert.equal(supabase.rows('user_kanji_progress').length, 0);
+});
+
+test('bulk update inserts new rows and updates existing ones in place', async (t) => {
+    const { request, supabase, user } = await setup(t);
+    supabase.insertRow('user_kanji_progress', {
+        user_id: user.id,
+        kanji_id: 1,
+        in_review: true,
+        next_review: '2026-01-05T00:00:00.000Z',
+        srs_interval: 6,
+        total_reviews: 4,
+        mnemonic: null,
+        field_updated_at: {},
+        version: 2
+    });
+
+    const res = await request('POST', '/progress/bulk-update', {
+        token: user.token,
+        body: { kanjiProgressData: [[1, { inReview: true, mnemonic: 'a tree', version: 2 }], [5, { inReview: true }]] }
+    });
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.versions, { 1: 3, 5: 1 });
+
+    const rows = supabase.rows('user_kanji_progress');
+    assert.equal(rows.length, 2);
+    const existing = rows.find(row => row.kanji_id === 1);
+    // Columns the update doesn't write keep their values
+    assert.equal(existing.srs_interval, 6);
+    assert.equal(existing.total_reviews, 4);
+    assert.equal(existing.next_review, '2026-01-05T00:00:00.000Z');
+    assert.equal(existing.mnemonic, 'a tree');
+    const added = rows.find(row => row.kanji_id === 5);
+    assert.equal(added.in_review, true);
+    assert.ok(added.next_review);
+});
+
+test('bulk update based on a stale version is rejected with the server copy', async (t) => {
+    const { request, supabase, user } = await setup(t);
+    supabase.insertRow('user_kanji_progress', { user_id: user.id, kanji_id: 1, in_review: true, mnemonic: 'theirs', version: 5 });
+
+    const res = await request('POST', '/progress/bulk-update', {
+        token: user.token,
+        body: { kanjiProgressData: [[1, { inReview: false, mnemonic: 'mine', version: 4 }], [2, { inReview: true, version: 1 }]] }
+    });
+
+    assert.equal(res.status, 409);
+    assert.deepEqual(res.body.conflicts.map(row => [row.kanji_id, row.version]), [[1, 5], [2, 0]]);
+    assert.equal(res.body.conflicts[0].mnemonic, 'theirs');
+
+    // Nothing from the batch was written
+    const rows = supabase.rows('user_kanji_progress');
+    assert.equal(rows.length, 1);
+    assert.equal(rows[0].mnemonic, 'theirs');
+    assert.equal(rows[0].version, 5);
+});
+
+test('an older offline change keeps the newer stored field', async (t) => {
+    const { request, supabase, user } = await setup(t);
+    supabase.insertRow('user_kanji_progress', {
+        user_id: user.id,
+        kanji_id: 1,
+        in_review: true,
+        mnemonic: 'newer',
+        field_updated_at: { mnemonic: '2026-02-01T00:00:00.000Z' },
+        version: 1
+    });
+
+    const res = await request('POST', '/progress/bulk-update', {
+        token: user.token,
+        body: { kanjiProgressData: [[1, { inReview: true, mnemonic: 'older', updatedAt: { mnemonic: '2026-01-01T00:00:00.000Z' } }]] }
+    });
+
+    assert.equal(res.body.skipped, 1);
+    assert.equal(supabase.rows('user_kanji_progress')[0].mnemonic, 'newer');
+});
+
+test('answers are validated', async (t) => {
+    const { request, supabase, user } = await setup(t);
+
+    const badId = await request('POST', '/progress/abc/answer', { token: user.token, body: { grade: 3 } });
+    assert.equal(badId.status, 400);
+    assert.equal(badId.body.error, 'Invalid kanji id');
+
+    // A kanji that is not in the dataset gets no progress row or review log entry
+    const unknown = await request('POST', '/progress/999999/answer', { token: user.token, body: { grade: 3 } });
+    assert.equal(unknown.status, 400);
+    assert.equal(unknown.body.error, 'Invalid kanji id');
+    assert.equal(supabase.rows('user_kanji_progress').length, 0);
+    assert.equal(supabase.rows('review_log').length, 0);
+
+    const badGrade = await request('POST', '/progress/1/answer', { token: user.token, body: { grade: 5 } });
+    assert.equal(badGrade.status, 400);
+    assert.equal(badGrade.body.error, 'Grade must be an integer from 1 to 4');
+
+    const badTime = await request('POST', '/progress/1/answer', { token: user.token, body: { grade: 3, timeTakenMs: -5 } });
+    assert.equal(badTime.status, 400);
+
+    const badDate = await request('POST', '/progress/1/answer', { token: user.token, body: { grade: 3, answeredAt: 'yesterday' } });
+    assert.equal(badDate.status, 400);
+    assert.equal(badDate.body.error, 'Invalid answeredAt');
+});
+
+test('an answer updates the schedule and logs the review', async (t) => {
+    const { request, supabase, user } = await setup(t);
+
+    const res = await request('POST', '/progress/7/answer', { token: user.token, body: { grade: 3, word: '七', questionMode: 'meaning-first' } });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.stale, false);
+    assert.equal(res.body.progress.kanji_id, 7);
+    assert.equal(res.body.progress.total_reviews, 1);
+    assert.equal(res.body.progress.version, 1);
+
+    const [review] = supabase.rows('review_log');
+    assert.equal(review.kanji_id, 7);
+    assert.equal(review.grade, 3);
+    assert.equal(review.interval_after, res.body.progress.srs_interval);
+});
+
+test('a replayed answer older than the stored review is only logged', async (t) => {
+    const { request, supabase, user } = await setup(t);
+    supabase.insertRow('user_kanji_progress', {
+        user_id: user.id,
+        kanji_id: 1,
+        srs_interval: 10,
+        total_reviews: 5,
+        field_updated_at: { srs: '2026-02-01T00:00:00.000Z' },
+        version: 3
+    });
+
+    const res = await request('POST', '/progress/1/answer', { token: user.token, body: { grade: 1, answeredAt: '2026-01-01T00:00:00.000Z' } });
+
+    assert.equal(res.body.stale, true);
+    assert.equal(supabase.rows('user_kanji_progress')[0].srs_interval, 10);
+    assert.equal(supabase.rows('review_log')[0].interval_after, null);
+});
+
+test('progress only lists the user\'s own rows', async (t) => {
+    const { request, supabase, user } = await setup(t);
+    const other = supabase.addUser();
+    supabase.insertRow('user_kanji_progress', { user_id: user.id, kanji_id: 1 });
+    supabase.insertRow('user_kanji_progress', { user_id: other.id, kanji_id: 2 });
+
+    const res = await request('GET', '/progress', { token: user.token });
+
+    assert.deepEqual(res.body.progress.map(row => row.kanji_id), [1]);
+});
+
+test('replaying a long offline session is not cut off by the per-IP rate limit', async (t) => {
+    const { request, supabase, user } = await setup(t);
+
+    for (let i = 0; i < 110; i++) {
+        const res = await request('POST', '/progress/1/answer', { token: user.token, body: { grade: 3 } });
+        assert.equal(res.status, 200);
+    }
+
+    assert.equal(supabase.rows('review_log').length, 110);
+});
+
+test('single progress updates reject missing and unknown kanji ids', async (t) => {
+    const { request, supabase, user } = await setup(t);
+
+    for (const body of [{ in_review: true }, { kanji_id: 999999, in_review: true }, { kanji_id: '1', in_review: true }]) {
+        const res = await request('POST', '/progress/update', { token: user.token, body });
+        assert.equal(res.status, 400, JSON.stringify(body));
+        assert.equal(res.body.error, 'Invalid kanji id');
+    }
+    assert.equal(supabase.rows('user_kanji_progress').length, 0);
+
+    const res = await request('POST', '/progress/update', { token: user.token, body: { kanji_id: 1, in_review: true } });
+    assert.equal(res.status, 200);
+    assert.equal(supabase.rows('user_kanji_progress')[0].kanji_id, 1);
+});
@@ -0,0 +1,73 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { startApp } from './helpers/app.js';
+
+const NOW = new Date('2026-03-10T12:00:00.000Z');
+
+async function setup(t) {
+    t.mock.timers.enable({ apis: ['Date'], now: NOW });
+    const { request, supabase } = await startApp(t);
+    const user = supabase.addUser();
+    return { request, supabase, user };
+}
+
+const logEntry = (user, kanjiId, reviewedAt, newCard = false) => ({
+    user_id: user.id,
+    kanji_id: kanjiId,
+    grade: 3,
+    new_card: newCard,
+    reviewed_at: reviewedAt
+});
+
+test('answers mark whether they were the kanji\'s first', async (t) => {
+    const { request, supabase, user } = await setup(t);
+    supabase.insertRow('user_kanji_progress', { user_id: user.id, kanji_id: 2, in_review: true, total_reviews: 3 });
+
+    await request('POST', '/progress/1/answer', { token: user.token, body: { grade: 3 } });
+    await request('POST', '/progress/1/answer', { token: user.token, body: { grade: 3 } });
+    await request('POST', '/progress/2/answer', { token: user.token, body: { grade: 3 } });
+
+    assert.deepEqual(supabase.rows('review_log').map(row => [row.kanji_id, row.new_card]), [[1, true], [1, false], [2, false]]);
+});
+
+test('today\'s counts use distinct kanji against the saved limits', async (t) => {
+    const { request, supabase, user } = await setup(t);
+    supabase.insertRow('user_settings', { user_id: user.id, new_per_day: 2, reviews_per_day: 5 });
+    supabase.insertRow('review_log', logEntry(user, 1, '2026-03-10T01:00:00.000Z', true));
+    // A new kanji answered again later the same day still counts as new only
+    supabase.insertRow('review_log', logEntry(user, 1, '2026-03-10T02:00:00.000Z'));
+    supabase.insertRow('review_log', logEntry(user, 2, '2026-03-10T03:00:00.000Z', true));
+    supabase.insertRow('review_log', logEntry(user, 3, '2026-03-10T04:00:00.000Z'));
+    supabase.insertRow('review_log', logEntry(user, 3, '2026-03-10T05:00:00.000Z'));
+    // Yesterday's answers don't count
+    supabase.insertRow('review_log', logEntry(user, 4, '2026-03-09T23:00:00.000Z', true));
+
+    const res = await request('GET', '/reviews/today', { token: user.token });
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.today, {
+        dayStart: '2026-03-10T00:00:00.000Z',
+        newStudied: 2,
+        reviewsDone: 1,
+        newPerDay: 2,
+        reviewsPerDay: 5,
+        newRemaining: 0,
+        reviewsRemaining: 4
+    });
+});
+
+test('the day starts at the client\'s local midnight', async (t) => {
+    const { request, supabase, user } = await setup(t);
+    // 23:00 on the 9th in New York (UTC-4 in March after DST, offset 240)
+    supabase.insertRow('review_log', logEntry(user, 1, '2026-03-10T03:00:00.000Z', true));
+    supabase.insertRow('review_log', logEntry(user, 2, '2026-03-10T05:00:00.000Z', true));
+
+    const res = await request('GET', '/reviews/today?timezoneOffset=240', { token: user.token });
+
+    assert.equal(res.body.today.dayStart, '2026-03-10T04:00:00.000Z');
+    assert.equal(res.body.today.newStudied, 1);
+    assert.equal(res.body.today.newRemaining, 9);
+
+    const invalid = await request('GET', '/reviews/today?timezoneOffset=abc', { token: user.token });
+    assert.equal(invalid.status, 400);
+});
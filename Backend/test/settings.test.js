@@ -0,0 +1,178 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'events';
+import { startApp } from './helpers/app.js';
+import { openEventStream } from '../events.js';
+
+const DEFAULTS = {
+    profileName: 'alice',
+    maxLevel: 10,
+    jlptLevel: 'all',
+    maxInterval: 180,
+    showProgress: true,
+    showDrawing: true,
+    showStudyProgress: true,
+    showStrokeGuide: false,
+    defaultQuestionMode: 'meaning-first',
+    darkMode: false,
+    language: 'en',
+    scheduler: 'sm2',
+    newPerDay: 10,
+    reviewsPerDay: 200,
+    queueOrder: 'due-date',
+    reviewUnit: 'kanji',
+    leechThreshold: 8,
+    leechAction: 'tag'
+};
+
+test('a user without saved settings gets the defaults', async (t) => {
+    const { request, supabase } = await startApp(t);
+    const user = supabase.addUser({ username: 'alice' });
+
+    const res = await request('GET', '/settings', { token: user.token });
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.settings, DEFAULTS);
+});
+
+test('saved values are merged over the defaults, keeping false and filling nulls', async (t) => {
+    const { request, supabase } = await startApp(t);
+    const user = supabase.addUser({ username: 'alice' });
+    supabase.insertRow('user_settings', {
+        user_id: user.id,
+        max_level: 4,
+        show_progress: false,
+        show_drawing: null,
+        show_study_progress: null,
+        show_stroke_guide: null,
+        dark_mode: true,
+        language: 'ja'
+    });
+
+    const res = await request('GET', '/settings', { token: user.token });
+
+    assert.deepEqual(res.body.settings, {
+        ...DEFAULTS,
+        maxLevel: 4,
+        showProgress: false,
+        darkMode: true,
+        language: 'ja'
+    });
+});
+
+test('saving settings twice updates the one row', async (t) => {
+    const { request, supabase } = await startApp(t);
+    const user = supabase.addUser({ username: 'alice' });
+
+    await request('PUT', '/settings', { token: user.token, body: { ...DEFAULTS, maxLevel: 3 } });
+    const saved = await request('PUT', '/settings', { token: user.token, body: { ...DEFAULTS, maxLevel: 6, scheduler: 'fsrs' } });
+
+    assert.equal(saved.status, 200);
+    const rows = supabase.rows('user_settings');
+    assert.equal(rows.length, 1);
+    assert.equal(rows[0].max_level, 6);
+
+    const res = await request('GET', '/settings', { token: user.token });
+    assert.equal(res.body.settings.maxLevel, 6);
+    assert.equal(res.body.settings.scheduler, 'fsrs');
+});
+
+test('an unknown language or scheduler is rejected without saving', async (t) => {
+    const { request, supabase } = await startApp(t);
+    const user = supabase.addUser();
+
+    const language = await request('PUT', '/settings', { token: user.token, body: { ...DEFAULTS, language: 'fr' } });
+    assert.equal(language.status, 400);
+    assert.match(language.body.error, /Invalid language/);
+
+    const scheduler = await request('PUT', '/settings', { token: user.token, body: { ...DEFAULTS, scheduler: 'leitner' } });
+    assert.equal(scheduler.status, 400);
+    assert.match(scheduler.body.error, /Invalid scheduler/);
+
+    assert.equal(supabase.rows('user_settings').length, 0);
+});
+
+test('daily limits and queue order are validated and saved', async (t) => {
+    const { request, supabase } = await startApp(t);
+    const user = supabase.addUser({ username: 'alice' });
+
+    const order = await request('PUT', '/settings', { token: user.token, body: { ...DEFAULTS, queueOrder: 'random' } });
+    assert.equal(order.status, 400);
+    assert.match(order.body.error, /Invalid queue order/);
+
+    for (const newPerDay of [-1, 2.5, '5']) {
+        const limit = await request('PUT', '/settings', { token: user.token, body: { ...DEFAULTS, newPerDay } });
+        assert.equal(limit.status, 400);
+    }
+    assert.equal(supabase.rows('user_settings').length, 0);
+
+    await request('PUT', '/settings', { token: user.token, body: { ...DEFAULTS, newPerDay: 0, reviewsPerDay: 50, queueOrder: 'interleaved' } });
+
+    const res = await request('GET', '/settings', { token: user.token });
+    assert.equal(res.body.settings.newPerDay, 0);
+    assert.equal(res.body.settings.reviewsPerDay, 50);
+    assert.equal(res.body.settings.queueOrder, 'interleaved');
+
+    // Settings saved without the limits keep the stored ones
+    const { newPerDay, reviewsPerDay, ...withoutLimits } = DEFAULTS;
+    await request('PUT', '/settings', { token: user.token, body: withoutLimits });
+    assert.equal(supabase.rows('user_settings')[0].new_per_day, 0);
+    assert.equal(supabase.rows('user_settings')[0].reviews_per_day, 50);
+});
+
+test('settings left out of a save keep their stored values, and other devices get them', async (t) => {
+    const { request, supabase } = await startApp(t);
+    const user = supabase.addUser({ username: 'alice' });
+    await request('PUT', '/settings', {
+        token: user.token,
+        body: { ...DEFAULTS, language: 'ja', scheduler: 'fsrs', queueOrder: 'level', reviewUnit: 'word', leechAction: 'suspend', showStrokeGuide: true, newPerDay: 3 }
+    });
+
+    // Another tab listening for live changes
+    const messages = [];
+    const stream = new EventEmitter();
+    openEventStream(stream, { writeHead() {}, write: message => messages.push(message) }, user.id, 'other-tab');
+    t.after(() => stream.emit('close'));
+
+    // An older client that knows none of the newer settings
+    const { language, scheduler, newPerDay, reviewsPerDay, queueOrder, reviewUnit, leechThreshold, leechAction, showStrokeGuide, ...older } = DEFAULTS;
+    const res = await request('PUT', '/settings', { token: user.token, body: { ...older, maxLevel: 6 } });
+    assert.equal(res.status, 200);
+
+    const saved = (await request('GET', '/settings', { token: user.token })).body.settings;
+    assert.deepEqual(saved, { ...DEFAULTS, maxLevel: 6, language: 'ja', scheduler: 'fsrs', queueOrder: 'level', reviewUnit: 'word', leechAction: 'suspend', showStrokeGuide: true, newPerDay: 3 });
+
+    const event = messages.find(message => message.startsWith('event: settings'));
+    assert.deepEqual(JSON.parse(event.split('data: ')[1]).settings, saved);
+});
+
+test('the language endpoint updates only the language', async (t) => {
+    const { request, supabase } = await startApp(t);
+    const user = supabase.addUser();
+    supabase.insertRow('user_settings', { user_id: user.id, max_level: 4, language: 'en' });
+
+    const invalid = await request('PUT', '/user/language', { token: user.token, body: { language: 'de' } });
+    assert.equal(invalid.status, 400);
+
+    const res = await request('PUT', '/user/language', { token: user.token, body: { language: 'ja' } });
+    assert.equal(res.status, 200);
+
+    const stored = supabase.rows('user_settings');
+    assert.equal(stored.length, 1);
+    assert.equal(stored[0].language, 'ja');
+    assert.equal(stored[0].max_level, 4);
+
+    const language = await request('GET', '/user/language', { token: user.token });
+    assert.equal(language.body.language, 'ja');
+});
+
+test('a failed settings read is reported', async (t) => {
+    const { request, supabase } = await startApp(t);
+    const user = supabase.addUser();
+    supabase.failNext('user_settings', 'select');
+
+    const res = await request('GET', '/settings', { token: user.token });
+
+    assert.equal(res.status, 500);
+    assert.equal(res.body.error, 'Failed to get settings');
+});
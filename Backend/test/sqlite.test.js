@@ -0,0 +1,109 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, readdirSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { createSqliteDb, settingsFromRow, settingsRow } from '../db/index.js';
+import { createLocalAuth } from '../auth/index.js';
+
+// The self-hosting stores, run against an in-memory SQLite database
+async function setup(t) {
+    const db = await createSqliteDb(':memory:');
+    t.after(() => db.database.close());
+    const auth = createLocalAuth(db.database, { secret: 'test-secret' });
+    const { user } = await auth.signUp({ email: 'alice@example.com', password: 'hunter22', username: 'alice' });
+    return { db, user };
+}
+
+const latestMigration = Math.max(...readdirSync(new URL('../db/sqlite/migrations/', import.meta.url)).map(name => parseInt(name)));
+
+test('a new database is migrated to the latest version, and a saved one is not migrated again', async (t) => {
+    const dir = mkdtempSync(join(tmpdir(), 'kanjiten-'));
+    t.after(() => rmSync(dir, { recursive: true, force: true }));
+    const path = join(dir, 'kanjiten.sqlite');
+
+    const first = await createSqliteDb(path);
+    assert.equal(first.database.get('PRAGMA user_version').user_version, latestMigration);
+    await createLocalAuth(first.database, { secret: 'test-secret' })
+        .signUp({ email: 'alice@example.com', password: 'hunter22', username: 'alice' });
+    first.database.close();
+
+    // Re-running 001_initial.sql would fail on its existing tables
+    const reopened = await createSqliteDb(path);
+    t.after(() => reopened.database.close());
+    assert.equal(reopened.database.get('PRAGMA user_version').user_version, latestMigration);
+    assert.equal(await reopened.profiles.count(), 1);
+});
+
+test('kanji progress round-trips with booleans and field timestamps decoded', async (t) => {
+    const { db, user } = await setup(t);
+    const row = {
+        user_id: user.id,
+        kanji_id: 1,
+        learned: true,
+        in_review: true,
+        srs_interval: 6,
+        total_reviews: 4,
+        next_review: '2026-03-01T00:00:00.000Z',
+        suspended: false,
+        field_updated_at: { srs: '2026-02-23T00:00:00.000Z' },
+        version: 1
+    };
+
+    const saved = await db.progress.save(row);
+    assert.equal(saved.learned, true);
+    assert.equal(saved.suspended, false);
+    assert.deepEqual(saved.field_updated_at, row.field_updated_at);
+
+    // An upsert only touches the columns it names
+    await db.progress.upsert([{ user_id: user.id, kanji_id: 1, mnemonic: 'one line', version: 2 }]);
+    const stored = await db.progress.get(user.id, 1);
+    assert.equal(stored.srs_interval, 6);
+    assert.equal(stored.mnemonic, 'one line');
+    assert.equal(stored.version, 2);
+    assert.deepEqual((await db.progress.listByKanji(user.id, [1, 2])).map(progress => progress.kanji_id), [1]);
+    assert.equal(await db.progress.get(user.id, 2), null);
+});
+
+test('word and facet progress are keyed by word and facet', async (t) => {
+    const { db, user } = await setup(t);
+    const schedule = { user_id: user.id, kanji_id: 1, srs_interval: 3, total_reviews: 2, field_updated_at: {} };
+
+    await db.wordProgress.upsert([{ ...schedule, word: '一つ' }, { ...schedule, word: '一人', learned: true }]);
+    await db.wordProgress.save({ ...schedule, word: '一つ', srs_interval: 9 });
+    assert.equal((await db.wordProgress.get(user.id, 1, '一つ')).srs_interval, 9);
+    assert.equal((await db.wordProgress.get(user.id, 1, '一人')).learned, true);
+    assert.deepEqual((await db.wordProgress.listAll(user.id)).map(progress => progress.word), ['一つ', '一人']);
+    await db.wordProgress.remove(user.id, 1, '一人');
+    assert.deepEqual((await db.wordProgress.listByKanji(user.id, 1)).map(progress => progress.word), ['一つ']);
+
+    await db.facetProgress.upsert([{ ...schedule, facet: 'reading' }]);
+    await db.facetProgress.save({ ...schedule, facet: 'meaning', srs_interval: 5 });
+    assert.equal((await db.facetProgress.get(user.id, 1, 'meaning')).srs_interval, 5);
+    assert.deepEqual((await db.facetProgress.listAll(user.id)).map(progress => progress.facet), ['meaning', 'reading']);
+    await assert.rejects(db.facetProgress.save({ ...schedule, facet: 'writing' }), /CHECK constraint/);
+});
+
+test('settings round-trip through the row mapping, keeping what a save leaves out', async (t) => {
+    const { db, user } = await setup(t);
+    assert.deepEqual(settingsFromRow(await db.settings.get(user.id), 'alice'), settingsFromRow(null, 'alice'));
+
+    const settings = {
+        ...settingsFromRow(null, 'alice'),
+        maxLevel: 7,
+        darkMode: true,
+        showStrokeGuide: true,
+        language: 'ja',
+        scheduler: 'fsrs',
+        newPerDay: 0,
+        queueOrder: 'interleaved',
+        reviewUnit: 'word',
+        leechThreshold: 4,
+        leechAction: 'suspend'
+    };
+    await db.settings.upsert(settingsRow(user.id, settings));
+    assert.deepEqual(settingsFromRow(await db.settings.get(user.id), 'alice'), settings);
+
+    await db.settings.upsert(settingsRow(user.id, { maxLevel: 5 }));
+    assert.deepEqual(settingsFromRow(await db.settings.get(user.id), 'alice'), { ...settings, maxLevel: 5 });
+});
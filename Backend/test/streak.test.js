@@ -0,0 +1,86 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { startApp } from './helpers/app.js';
+
+const NOW = new Date('2026-03-10T12:00:00Z');
+
+// Only Date is faked, so the server and fetch keep working
+async function setup(t, streak) {
+    t.mock.timers.enable({ apis: ['Date'], now: NOW });
+    const { supabase, request } = await startApp(t);
+    const user = supabase.addUser();
+    if (streak) {
+        supabase.insertRow('user_streaks', { user_id: user.id, ...streak });
+    }
+    return { supabase, request, user };
+}
+
+test('a user without a streak row has a zero streak', async (t) => {
+    const { request, user } = await setup(t);
+
+    const res = await request('GET', '/streak', { token: user.token });
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.streak, { dailyStreak: 0, lastReviewDate: null });
+});
+
+test('the first review starts a streak of one', async (t) => {
+    const { supabase, request, user } = await setup(t);
+
+    const res = await request('POST', '/streak/update', { token: user.token });
+
+    assert.equal(res.body.streak, 1);
+    assert.deepEqual(supabase.rows('user_streaks').map(row => [row.daily_streak, row.last_review_date]), [[1, '2026-03-10']]);
+});
+
+test('a review the day after the last one increments the streak', async (t) => {
+    const { supabase, request, user } = await setup(t, { daily_streak: 4, last_review_date: '2026-03-09' });
+
+    const res = await request('POST', '/streak/update', { token: user.token });
+
+    assert.equal(res.body.streak, 5);
+    assert.equal(supabase.rows('user_streaks').length, 1);
+    assert.equal(supabase.rows('user_streaks')[0].last_review_date, '2026-03-10');
+});
+
+test('a second review on the same day leaves the streak alone', async (t) => {
+    const { supabase, request, user } = await setup(t, { daily_streak: 4, last_review_date: '2026-03-10' });
+    supabase.failNext('user_streaks', 'upsert');
+
+    const res = await request('POST', '/streak/update', { token: user.token });
+
+    // No write was attempted, so the queued failure is still pending
+    assert.equal(res.status, 200);
+    assert.equal(res.body.streak, 4);
+    assert.ok(supabase.takeFailure('user_streaks', 'upsert'));
+});
+
+test('missing a day resets the streak to one', async (t) => {
+    const { supabase, request, user } = await setup(t, { daily_streak: 12, last_review_date: '2026-03-08' });
+
+    const res = await request('POST', '/streak/update', { token: user.token });
+
+    assert.equal(res.body.streak, 1);
+    assert.equal(supabase.rows('user_streaks')[0].daily_streak, 1);
+});
+
+test('the streak carries across a month boundary', async (t) => {
+    t.mock.timers.enable({ apis: ['Date'], now: new Date('2026-03-01T12:00:00Z') });
+    const { supabase, request } = await startApp(t);
+    const user = supabase.addUser();
+    supabase.insertRow('user_streaks', { user_id: user.id, daily_streak: 2, last_review_date: '2026-02-28' });
+
+    const res = await request('POST', '/streak/update', { token: user.token });
+
+    assert.equal(res.body.streak, 3);
+});
+
+test('a failed streak write is reported', async (t) => {
+    const { supabase, request, user } = await setup(t);
+    supabase.failNext('user_streaks', 'upsert');
+
+    const res = await request('POST', '/streak/update', { token: user.token });
+
+    assert.equal(res.status, 500);
+    assert.equal(res.body.error, 'Failed to update streak');
+});
@@ -0,0 +1,70 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import vm from 'vm';
+import { loadKanjiDataset } from '../kanjiDataset.js';
+import { extractFunction } from './helpers/frontend.js';
+
+// The study queue is built in the browser; run the functions from
+// frontend/index.html against the real dataset
+function loadBuildStudyQueue(settings) {
+    const context = { gameState: { settings }, DAY_MS: 24 * 60 * 60 * 1000 };
+    vm.runInNewContext(['overdueRatio', 'interleaveQueue', 'buildStudyQueue'].map(extractFunction).join('\n'), context);
+    return context.buildStudyQueue;
+}
+
+const { kanji } = loadKanjiDataset();
+const counts = { newRemaining: 10, reviewsRemaining: 200 };
+
+test('new kanji come from the easiest level first, in dataset order', () => {
+    const buildStudyQueue = loadBuildStudyQueue({ queueOrder: 'due-date' });
+
+    const queue = buildStudyQueue([], kanji, counts);
+
+    const easiest = kanji.filter(entry => entry.level === 10).slice(0, 10);
+    assert.equal(easiest[0].character, '一');
+    assert.deepEqual(Array.from(queue, entry => entry.id), easiest.map(entry => entry.id));
+});
+
+test('the level order puts level 10 reviews before harder ones', () => {
+    const buildStudyQueue = loadBuildStudyQueue({ queueOrder: 'level' });
+    const review = (character, level) => ({ character, level, nextReview: '2026-01-01T00:00:00.000Z', interval: 1 });
+
+    const queue = buildStudyQueue([review('鹿', 7), review('一', 10), review('花', 9)], [], counts);
+
+    assert.deepEqual(Array.from(queue, entry => entry.character), ['一', '花', '鹿']);
+});
+
+test('a cram kanji missed again keeps a single queued repeat', () => {
+    const context = {};
+    vm.runInNewContext(`const CRAM_REPEAT_GAP = 4;\n${extractFunction('requeueCramKanji')}`, context);
+    const deck = kanji.slice(0, 8);
+    const session = { kanji: [...deck], currentIndex: 0, repeatMisses: 2, pending: new Map() };
+
+    context.requeueCramKanji(session, deck[0], false);
+    context.requeueCramKanji(session, deck[0], false);
+
+    assert.equal(session.kanji.filter(entry => entry.id === deck[0].id).length, 2);
+    assert.equal(session.kanji.length, deck.length + 1);
+    assert.equal(session.kanji[5], deck[0]);
+    assert.equal(session.pending.get(deck[0].id), 2);
+});
+
+test('reviewing by word schedules custom words after the built-in ones', () => {
+    const context = {
+        gameState: {
+            settings: { jlptLevel: 'all' },
+            kanjiData: new Map(),
+            wordProgress: new Map(),
+            customWords: new Map([[1, [{ kanji_id: 1, word: '一番', reading: 'いちばん', meaning: 'number one' }]]])
+        }
+    };
+    vm.runInNewContext(['collectWordItems', 'studiedWords', 'isKanjiDueForReview', 'filterVariationsByJlpt', 'customWordVariation']
+        .map(extractFunction).join('\n'), context);
+    const reviewed = { id: 1, level: 10, inReview: true, variations: [{ word: '一つ' }] };
+    context.gameState.kanjiData.set(1, reviewed);
+    context.gameState.wordProgress.set(1, new Map([['一つ', { word: '一つ', learned: true, totalReviews: 3, nextReview: new Date(Date.now() + 86400000) }]]));
+
+    const { fresh } = context.collectWordItems([{ id: 2, level: 10, variations: [] }]);
+
+    assert.deepEqual(Array.from(fresh, item => item.word), ['一番']);
+});
@@ -0,0 +1,100 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import vm from 'vm';
+import { extractFunction } from './helpers/frontend.js';
+
+// Typed answers are graded in the browser and held in the outbox while their
+// result is on screen. Run the study and outbox functions from
+// frontend/index.html with an in-memory outbox and a fake server.
+function loadStudySession() {
+    const outbox = new Map();
+    const sent = [];
+    const kanji = { id: 1, interval: 3, totalReviews: 2, lapses: 0 };
+    const context = {
+        gameState: {
+            currentScene: 'studyScene',
+            studySession: { kanji: [kanji, { id: 2 }], currentIndex: 0, correct: 0, questionMode: 'typed', currentVariation: { word: '一つ' } },
+            reviewLog: [],
+            kanjiData: new Map([[1, kanji]]),
+            isAnonymous: false,
+            authToken: 'token',
+            user: { id: 'user' }
+        },
+        navigator: { onLine: true },
+        pendingSyncCount: 0,
+        FACET_MODES: {},
+        updateDailyStreak() {},
+        updateKanjiAfterReview(record, grade) {
+            record.interval = grade >= 3 ? 8 : 1;
+            record.totalReviews++;
+        },
+        applyLapse(record, lapse) {
+            if (lapse) record.lapses++;
+        },
+        clearMainCanvas() {},
+        displayCurrentQuestion() {},
+        applyAnswerResponse() {},
+        async flushProgressEntries() {},
+        async updateSyncIndicator() {},
+        async queueOutbox(entries) {
+            entries.forEach(entry => outbox.set(entry.key, entry));
+        },
+        async readOutbox() {
+            return [...outbox.values()];
+        },
+        async localDbRequest(storeName, mode, makeRequest) {
+            return makeRequest({ delete: key => outbox.delete(key) });
+        },
+        async apiCall(endpoint, method, body) {
+            sent.push({ endpoint, grade: body.grade, answeredAt: body.answeredAt });
+            return { success: true, progress: { version: 1 } };
+        }
+    };
+    vm.runInNewContext([
+        'let outboxFlushing = false;',
+        'let outboxRetryAt = 0;',
+        'let outboxRetryDelay = 0;',
+        ...['submitAnswer', 'advanceStudySession', 'recordReview', 'answerEndpoint', 'overrideTypedGrade',
+            'isHeldAnswer', 'isRejectedStatus', 'flushOutbox'].map(extractFunction)
+    ].join('\n'), context);
+    return { context, kanji, outbox, sent };
+}
+
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+test('a held typed answer is not synced until the session moves on', async () => {
+    const { context, outbox, sent } = loadStudySession();
+
+    context.submitAnswer(1, { stay: true });
+    await settle();
+    // The auto-save and online handlers flush the outbox on their own
+    await context.flushOutbox();
+    assert.equal(outbox.size, 1);
+    assert.equal(sent.length, 0);
+
+    context.advanceStudySession();
+    await settle();
+    assert.deepEqual(sent.map(answer => answer.grade), [1]);
+    assert.equal(outbox.size, 0);
+});
+
+test('"I was right" replaces the held wrong answer, which is never sent', async () => {
+    const { context, kanji, outbox, sent } = loadStudySession();
+
+    context.submitAnswer(1, { stay: true });
+    await settle();
+    await context.flushOutbox();
+    const { answeredAt } = context.gameState.studySession.gradedAnswer;
+
+    context.overrideTypedGrade();
+    await settle();
+
+    assert.deepEqual(sent, [{ endpoint: '/progress/1/answer', grade: 3, answeredAt }]);
+    assert.equal(outbox.size, 0);
+    assert.equal(kanji.lapses, 0);
+    assert.equal(kanji.totalReviews, 3);
+    assert.equal(kanji.interval, 8);
+    assert.equal(context.gameState.reviewLog.length, 1);
+    assert.equal(context.gameState.studySession.correct, 1);
+    assert.equal(context.gameState.studySession.currentIndex, 1);
+});
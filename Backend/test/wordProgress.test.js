@@ -0,0 +1,95 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { startApp } from './helpers/app.js';
+
+// Kanji 1 is 一, whose built-in words include 一つ and 一人
+async function setup(t) {
+    const { request, supabase } = await startApp(t);
+    const user = supabase.addUser();
+    return { request, supabase, user };
+}
+
+const answer = (request, user, body, kanjiId = 1) =>
+    request('POST', `/word-progress/${kanjiId}/answer`, { token: user.token, body: { grade: 3, ...body } });
+
+test('word answers are validated', async (t) => {
+    const { request, user } = await setup(t);
+
+    const badKanji = await answer(request, user, { word: '一つ' }, 999999);
+    assert.equal(badKanji.status, 400);
+    assert.equal(badKanji.body.error, 'Invalid kanji id');
+
+    const badGrade = await answer(request, user, { word: '一つ', grade: 0 });
+    assert.equal(badGrade.status, 400);
+
+    const otherKanjisWord = await answer(request, user, { word: '二つ' });
+    assert.equal(otherKanjisWord.status, 400);
+    assert.equal(otherKanjisWord.body.error, 'Unknown word for this kanji');
+});
+
+test('each word keeps its own schedule and the kanji rolls up from them', async (t) => {
+    const { request, supabase, user } = await setup(t);
+
+    await answer(request, user, { word: '一つ', grade: 4, answeredAt: '2026-03-01T00:00:00.000Z' });
+    await answer(request, user, { word: '一つ', grade: 4, answeredAt: '2026-03-02T00:00:00.000Z' });
+    const res = await answer(request, user, { word: '一人', grade: 1, answeredAt: '2026-03-03T00:00:00.000Z' });
+
+    assert.equal(res.status, 200);
+    const words = new Map(supabase.rows('user_word_progress').map(row => [row.word, row]));
+    assert.equal(words.size, 2);
+    assert.equal(words.get('一つ').total_reviews, 2);
+    assert.equal(words.get('一人').total_reviews, 1);
+    assert.ok(words.get('一つ').srs_interval > words.get('一人').srs_interval);
+
+    // Due when the weakest word is, with the reviews of all its words
+    const [kanji] = supabase.rows('user_kanji_progress');
+    assert.equal(kanji.in_review, true);
+    assert.equal(kanji.total_reviews, 3);
+    assert.equal(kanji.srs_interval, words.get('一人').srs_interval);
+    assert.equal(kanji.next_review, words.get('一人').next_review);
+    assert.equal(kanji.last_review, '2026-03-03T00:00:00.000Z');
+    assert.equal(kanji.version, 3);
+    assert.deepEqual(res.body.progress.kanji_id, 1);
+
+    // Each word's first answer is its new one
+    assert.deepEqual(supabase.rows('review_log').map(row => [row.word, row.new_card]), [['一つ', true], ['一つ', false], ['一人', true]]);
+});
+
+test('custom words can be reviewed and take their progress with them when deleted', async (t) => {
+    const { request, supabase, user } = await setup(t);
+    const custom = supabase.insertRow('user_custom_words', { user_id: user.id, kanji_id: 1, word: '一升' });
+
+    const res = await answer(request, user, { word: '一升' });
+    assert.equal(res.status, 200);
+    assert.equal(supabase.rows('user_word_progress').length, 1);
+
+    await request('DELETE', `/custom-words/${custom.id}`, { token: user.token });
+    assert.equal(supabase.rows('user_word_progress').length, 0);
+});
+
+test('a replayed word answer older than the stored one is only logged', async (t) => {
+    const { request, supabase, user } = await setup(t);
+    await answer(request, user, { word: '一つ', answeredAt: '2026-03-05T00:00:00.000Z' });
+
+    const res = await answer(request, user, { word: '一つ', grade: 1, answeredAt: '2026-03-04T00:00:00.000Z' });
+
+    assert.equal(res.body.stale, true);
+    assert.equal(supabase.rows('user_word_progress')[0].total_reviews, 1);
+    assert.equal(supabase.rows('user_kanji_progress')[0].version, 1);
+    assert.equal(supabase.rows('review_log').length, 2);
+});
+
+test('daily counts go by word for users who review by word', async (t) => {
+    const { request, supabase, user } = await setup(t);
+    supabase.insertRow('user_settings', { user_id: user.id, review_unit: 'word', new_per_day: 5 });
+
+    await answer(request, user, { word: '一つ' });
+    await answer(request, user, { word: '一人' });
+
+    const res = await request('GET', '/reviews/today', { token: user.token });
+    assert.equal(res.body.today.newStudied, 2);
+    assert.equal(res.body.today.newRemaining, 3);
+
+    const list = await request('GET', '/word-progress', { token: user.token });
+    assert.deepEqual(list.body.progress.map(row => row.word).sort(), ['一つ', '一人']);
+});